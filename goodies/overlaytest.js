@@ -0,0 +1,47 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OverlaysStore } = require('../src/core/overlays');
+const { routeTargetsPatch } = require('../src/core/setlists');
+
+// Deux patches au même program, distingués par le bank select de leurs PatchMIDICommands
+// (cas du Proteus 2000 > "Brass Instruments")
+const cmds = (msb, lsb, program) => [
+  { type: 'cc', cc: 0, value: msb },
+  { type: 'cc', cc: 32, value: lsb },
+  { type: 'pc', program }
+];
+
+const bank = {
+  name: 'Brass Instruments',
+  msb: null,
+  lsb: null,
+  patches: [
+    { name: 'brs:Trumpet FX 5', program: 14, commands: cmds(4, 0, 14) },
+    { name: 'brs:Movie Brass', program: 14, commands: cmds(4, 4, 14) }
+  ]
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'midistage-overlays-'));
+
+try
+{
+  const overlays = new OverlaysStore({ dirPath: dir });
+  overlays.setPatchName('m1', bank, bank.patches[0], 'My Trumpet');
+
+  const names = overlays.apply('m1', { banks: [bank] }).banks[0].patches.map(p => p.name);
+  assert.deepStrictEqual(names, ['My Trumpet', 'brs:Movie Brass']);
+
+  // Une route vers l'autre patch n'est pas concernée par le renommage
+  const route = { machineId: 'm1', bankName: bank.name, msb: null, lsb: null, program: 14, commands: cmds(4, 4, 14) };
+  assert.strictEqual(routeTargetsPatch(route, bank, bank.patches[0]), false);
+  assert.strictEqual(routeTargetsPatch(route, bank, bank.patches[1]), true);
+
+  console.log('OK: renommer un patch laisse intact l\'autre patch au même program.');
+}
+finally
+{
+  fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -1,3 +1,4 @@
+const fs = require("fs");
 const path = require("path");
 
 const startApp = require("./src/tui/app");
@@ -7,6 +8,7 @@ const { startSerialServer } = require("./src/tui/serialServer");
 
 const { Model } = require("./src/core/model");
 const { G13RemoteDevice } = require("./src/remote/g13RemoteDevice");
+const { MidiRemoteDevice } = require("./src/remote/midiRemoteDevice");
 const { Settings } = require("./src/core/settings");
 
 const MIDNAM_DIR = path.join(__dirname, "data", "names");
@@ -22,7 +24,8 @@ let remoteSplashTimer = null;
 
 const model = new Model({
   midnamDir: MIDNAM_DIR,
-  fuzzySearchEnabled: !!settings.getSetting("ui.enableFuzzySearch", false)
+  fuzzySearchEnabled: !!settings.getSetting("ui.enableFuzzySearch", false),
+  smartRecall: !!settings.getSetting("recall.smart", false)
 });
 
 function getArg(name, def = null)
@@ -39,6 +42,38 @@ function clampInt(v, def, min, max)
   return Math.max(min, Math.min(max, n));
 }
 
+// Lint de la bibliothèque: node midistage.js --lint [fichier ou dossier relatif à data/names]
+if (process.argv.includes("--lint"))
+{
+  const { formatLintIssue } = require("./src/midnam/lintMidnam");
+
+  const target = getArg("--lint", null);
+  let files = model.listMidnamFiles({ rescan: true });
+
+  if (target && !target.startsWith("--"))
+  {
+    const rel = fs.existsSync(target) ? path.relative(MIDNAM_DIR, path.resolve(target)) : target;
+    const prefix = rel.replace(/[\\/]*$/, path.sep);
+    files = files.filter(f => f === rel || f.startsWith(prefix));
+  }
+
+  let errors = 0;
+  let warnings = 0;
+
+  for (const r of model.lintMidnamFiles(files))
+  {
+    for (const issue of r.issues)
+    {
+      if (issue.severity === "error") errors++;
+      else warnings++;
+      console.log(formatLintIssue(r.file, issue));
+    }
+  }
+
+  console.log(`${files.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`);
+  process.exit(errors ? 1 : 0);
+}
+
 if (process.argv.includes("--telnet"))
 {
   const port = parseInt(getArg("--port", "2323"), 10);
@@ -95,6 +130,33 @@ const remote = new G13RemoteDevice({
   backlightColor: settings.getSetting("remote.backlightColor", "#48C410")
 });
 
+////////////////////////////////////////////////////////////////////////////////////////////
+// Remote MIDI (footswitch / pédalier sur un input MIDI)
+const midiRemote = new MidiRemoteDevice({
+  log: console.log,
+  port: settings.getSetting("midiRemote.port", null),
+  channel: settings.getSetting("midiRemote.channel", 0),
+  mappings: settings.getSetting("midiRemote.mappings", undefined)
+});
+
+if (settings.getSetting("midiRemote.enabled", false)) midiRemote.start();
+
+midiRemote.on("action", (payload) => {
+  try
+  {
+    console.log(`[MIDIREMOTE] Action: ${payload.action}${payload.key ? " " + payload.key : ""}`);
+    model.handleRemoteAction(payload.action, payload.key);
+  }
+  catch (er)
+  {
+    console.warn("[MIDIREMOTE] ERR ACTION " + er);
+  }
+});
+
+midiRemote.on("error", (error) => {
+  console.warn(`[MIDIREMOTE] ERROR ${error.message || error}`);
+});
+
 let shuttingDown = false;
 
 async function shutdown(exitCode = 0)
@@ -114,6 +176,8 @@ async function shutdown(exitCode = 0)
     console.warn("[REMOTE] SHUTDOWN ERROR " + (error.message || error));
   }
 
+  try { midiRemote.stop(); } catch {}
+  try { model.stopHealthMonitor(); } catch {}
   try { runtimeServer && runtimeServer.close(); } catch {}
   try { require("./src/midi/driver").closeAll(); } catch {}
 
@@ -230,6 +294,10 @@ model.on("remoteDisplayXY", (message) => {
   remote.showTextXY(message.text, message.xpos, message.ypos);
 });
 
+model.on("remoteDisplayLine", (message) => {
+  remote.showLine(message.text, message.ypos);
+});
+
 model.on("remoteTipText", (message) => {
   const text = (message && typeof message === "object") ? message.text : message;
   remote.showTipText(text);
@@ -263,3 +331,34 @@ model.on("remoteMacroLeds", (value) => {
   const applied = remote.setMacroLeds(value);
   console.log(`[REMOTE] PARAMETER REMOTE LEDS SET TO ${applied}`);
 });
+
+model.on("midiRemoteConfig", (value) => {
+  midiRemote.configure({ port: value.port, channel: value.channel });
+  if (value.enabled) midiRemote.start();
+  else midiRemote.stop();
+  console.log(`[MIDIREMOTE] CONFIG ${value.enabled ? "ON" : "OFF"} port=${value.port || "-"} ch=${value.channel || "omni"}`);
+});
+
+////////////////////////////////////////////////////////////////////////////////////////////
+// Machines en ligne / hors ligne (ports présents + Identity Request), marquées dans le browse, la preview et le G13
+model.on("machineStatus", (e) => {
+  console.log(`[HEALTH] ${e.name}: ${e.previous} -> ${e.status}${e.reason ? ` (${e.reason})` : ""}`);
+});
+
+if (settings.getSetting("health.enabled", true))
+{
+  model.startHealthMonitor({
+    intervalMs: clampInt(settings.getSetting("health.intervalSec", 10), 10, 1, 600) * 1000,
+    identityPing: !!settings.getSetting("health.identityPing", true)
+  });
+}
+
+////////////////////////////////////////////////////////////////////////////////////////////
+// Horloge MIDI maître (entrées avec BPM, machines marquées "clock")
+model.on("clockState", (st) => {
+  console.log(`[CLOCK] ${st.running ? "RUNNING" : "STOPPED"} ${st.bpm} BPM pos=${st.position} ports=${st.ports.join(", ") || "-"}`);
+});
+
+model.on("clockPortError", (e) => {
+  console.warn(`[CLOCK] PORT ${e.port} DISABLED: ${e.message}`);
+});
@@ -0,0 +1,243 @@
+const { EventEmitter } = require("events");
+
+const midiDriver = require("../midi/driver");
+const { buildIdentityRequest, parseIdentityReply } = require("../midi/sysex");
+
+function portKey(name)
+{
+    return midiDriver.normalizePortLabel(name).toLowerCase();
+}
+
+function wait(ms)
+{
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Suivi en ligne / hors ligne des machines, vérifié périodiquement:
+ * - sortie physique (slot -> port) absente de la liste des sorties MIDI: "offline"
+ * - Identity Request sur chaque port utilisé, si une entrée MIDI existe: un port qui a déjà répondu
+ *   et reste muet missLimit fois de suite passe "offline" (les appareils qui ne répondent jamais
+ *   à l'Identity Request ne sont pas marqués sur ce seul critère)
+ * - pas de sortie assignée: "unknown"
+ *
+ * Émet "status" { machineId, status, previous, reason } à chaque changement.
+ */
+class MachineHealthMonitor extends EventEmitter
+{
+    constructor(options = {})
+    {
+        super();
+        this.listMachines = options.listMachines || (() => []);
+        this.resolveOut = options.resolveOut || (m => m.out || null);
+
+        this.intervalMs = 10000;
+        this.identityPing = true;
+        this.pingTimeoutMs = 400;
+        this.missLimit = 2;
+        this.configure(options);
+
+        this._status = new Map(); // machineId -> { status, reason, checkedAt }
+        this._ports = new Map();  // clé port -> { answered, misses }
+        this._opened = [];        // entrées ouvertes pour les pings (refermées au stop)
+        this._timer = null;
+        this._running = null;
+        this._paused = 0;
+    }
+
+    configure(options = {})
+    {
+        const n = (v, def, min, max) =>
+        {
+            const x = parseInt(String(v), 10);
+            return Number.isFinite(x) ? Math.min(max, Math.max(min, x)) : def;
+        };
+
+        if (options.intervalMs != null) this.intervalMs = n(options.intervalMs, this.intervalMs, 1000, 600000);
+        if (options.pingTimeoutMs != null) this.pingTimeoutMs = n(options.pingTimeoutMs, this.pingTimeoutMs, 50, 5000);
+        if (options.missLimit != null) this.missLimit = n(options.missLimit, this.missLimit, 1, 20);
+        if (options.identityPing != null) this.identityPing = !!options.identityPing;
+
+        if (this._timer)
+        {
+            this.stop();
+            this.start();
+        }
+    }
+
+    start()
+    {
+        if (this._timer) return;
+        this._timer = setInterval(() => { this.check().catch(() => { }); }, this.intervalMs);
+        this.check().catch(() => { });
+    }
+
+    stop()
+    {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+
+        for (const name of this._opened) midiDriver.closeInput(name);
+        this._opened = [];
+    }
+
+    get running()
+    {
+        return !!this._timer;
+    }
+
+    // Suspend les pings (scan du rig en cours: ses réponses ne doivent pas être mélangées)
+    pause()
+    {
+        this._paused++;
+    }
+
+    resume()
+    {
+        this._paused = Math.max(0, this._paused - 1);
+    }
+
+    async whenIdle()
+    {
+        try { await this._running; } catch { }
+    }
+
+    /**
+     * Statut connu d'une machine.
+     * @returns {{ status: "online"|"offline"|"unknown", reason: string|null, checkedAt: number|null }}
+     */
+    get(machineId)
+    {
+        return this._status.get(machineId) || { status: "unknown", reason: null, checkedAt: null };
+    }
+
+    // Une seule vérification à la fois: un appel pendant un tour en cours retourne ce tour
+    check()
+    {
+        if (!this._running)
+        {
+            this._running = this._check().finally(() => { this._running = null; });
+        }
+        return this._running;
+    }
+
+    async _check()
+    {
+        const machines = this.listMachines();
+
+        let outputs = null;
+        let outputsError = null;
+        try { outputs = new Set(midiDriver.listOutputs().map(portKey)); }
+        catch (e) { outputsError = e.message; }
+
+        const next = new Map();
+        const byPort = new Map(); // clé -> { port, machines }
+
+        for (const m of machines)
+        {
+            const port = this.resolveOut(m);
+            if (!port)
+            {
+                next.set(m.id, { status: "unknown", reason: "no MIDI output" });
+                continue;
+            }
+
+            const key = portKey(port);
+            if (!outputs || !outputs.has(key))
+            {
+                next.set(m.id, { status: "offline", reason: outputs ? `port "${port}" not found` : outputsError });
+                continue;
+            }
+
+            next.set(m.id, { status: "online", reason: null });
+            if (!byPort.has(key)) byPort.set(key, { key, port, machines: [] });
+            byPort.get(key).machines.push(m);
+        }
+
+        if (this.identityPing && !this._paused && byPort.size)
+        {
+            const silent = await this._ping([...byPort.values()]);
+            for (const key of silent)
+            {
+                for (const m of byPort.get(key).machines) next.set(m.id, { status: "offline", reason: "no Identity Reply" });
+            }
+        }
+
+        this._apply(next);
+    }
+
+    // Pings port par port; retourne les clés des ports qui répondaient et se sont tus
+    async _ping(targets)
+    {
+        let inputs = [];
+        try { inputs = midiDriver.listInputs(); } catch { }
+        if (!inputs.length) return new Set();
+
+        const open = new Set(midiDriver.listOpenInputs().map(portKey));
+        for (const name of inputs)
+        {
+            if (open.has(portKey(name))) continue;
+            try { midiDriver.openInput(name); this._opened.push(name); } catch { }
+        }
+
+        const silent = new Set();
+        let heard = false;
+        const onSysEx = (msg) => { if (parseIdentityReply(msg.bytes)) heard = true; };
+        midiDriver.inputEvents.on("sysex", onSysEx);
+
+        try
+        {
+            for (const t of targets)
+            {
+                if (this._paused) break;
+
+                heard = false;
+                try { await midiDriver.sendSequence({ name: t.port, out: t.port }, [{ bytes: buildIdentityRequest(), delayMs: 0 }]); }
+                catch { continue; }
+
+                await wait(this.pingTimeoutMs);
+
+                const st = this._ports.get(t.key) || { answered: false, misses: 0 };
+                if (heard)
+                {
+                    st.answered = true;
+                    st.misses = 0;
+                }
+                else st.misses++;
+                this._ports.set(t.key, st);
+
+                if (st.answered && st.misses >= this.missLimit) silent.add(t.key);
+            }
+        }
+        finally
+        {
+            midiDriver.inputEvents.removeListener("sysex", onSysEx);
+        }
+
+        return silent;
+    }
+
+    _apply(next)
+    {
+        const now = Date.now();
+
+        for (const id of [...this._status.keys()])
+        {
+            if (!next.has(id)) this._status.delete(id);
+        }
+
+        for (const [machineId, st] of next)
+        {
+            const prev = this._status.get(machineId);
+            this._status.set(machineId, { status: st.status, reason: st.reason, checkedAt: now });
+
+            const changed = prev ? (prev.status !== st.status || prev.reason !== st.reason) : st.status !== "unknown";
+            if (changed)
+            {
+                this.emit("status", { machineId, status: st.status, previous: prev ? prev.status : "unknown", reason: st.reason });
+            }
+        }
+    }
+}
+
+module.exports = { MachineHealthMonitor };
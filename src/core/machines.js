@@ -27,6 +27,92 @@ function safeWriteJson(filePath, obj)
     fs.writeFileSync(filePath, JSON.stringify(obj, null, 2), "utf8");
 }
 
+const BANK_SELECT_MODES = Object.freeze(["both", "msb", "lsb", "none"]);
+const BANK_SELECT_ORDERS = Object.freeze(["bank-pc", "pc-bank"]);
+
+function normalizeBankSelect(b)
+{
+    // Profil d'envoi bank/program: défaut = CC0 + CC32 puis PC, programmes 0-based, sans délai
+    const src = (b && typeof b === "object") ? b : {};
+
+    const mode = String(src.mode || "").toLowerCase();
+    const order = String(src.order || "").toLowerCase();
+    const delay = parseInt(String(src.delayMs), 10);
+
+    return {
+        mode: BANK_SELECT_MODES.includes(mode) ? mode : "both",
+        order: BANK_SELECT_ORDERS.includes(order) ? order : "bank-pc",
+        // 1 = les numéros de programme du .midnam commencent à 1 (on envoie program - 1)
+        programBase: Number(src.programBase) === 1 ? 1 : 0,
+        delayMs: Number.isFinite(delay) ? Math.min(1000, Math.max(0, delay)) : 0
+    };
+}
+
+function clampChannel(v, fallback)
+{
+    const n = parseInt(String(v), 10);
+    return Number.isFinite(n) ? Math.min(16, Math.max(1, n)) : fallback;
+}
+
+function normalizeParts(list)
+{
+    // Parties d'une machine multitimbrale: [{ name, channel }], noms uniques (le premier gagne)
+    const parts = [];
+    const seen = new Set();
+
+    for (const p of Array.isArray(list) ? list : [])
+    {
+        const name = String((p && p.name) || "").trim();
+        const channel = clampChannel(p && p.channel, null);
+        if (!name || channel == null || seen.has(name)) continue;
+
+        seen.add(name);
+        parts.push({ name, channel });
+    }
+
+    return parts;
+}
+
+/**
+ * "Piano=1; Bass=2; Pad=3" -> [{ name, channel }] (séparateurs ";" ou ",").
+ * @returns {{ parts: Array<{name: string, channel: number}>, errors: string[] }}
+ */
+function parsePartsText(text)
+{
+    const parts = [];
+    const errors = [];
+
+    for (const raw of String(text || "").split(/[;,]/))
+    {
+        const t = raw.trim();
+        if (!t) continue;
+
+        const m = t.match(/^(.+?)\s*=\s*(\d{1,2})$/);
+        const channel = m ? clampChannel(m[2], null) : null;
+        if (!m || channel == null || Number(m[2]) !== channel || parts.some(p => p.name === m[1].trim()))
+        {
+            errors.push(t);
+            continue;
+        }
+
+        parts.push({ name: m[1].trim(), channel });
+    }
+
+    return { parts: normalizeParts(parts), errors };
+}
+
+function formatPartsText(parts)
+{
+    return (Array.isArray(parts) ? parts : []).map(p => `${p.name}=${p.channel}`).join("; ");
+}
+
+// Partie nommée d'une machine, ou null
+function findPart(machine, name)
+{
+    if (!machine || name == null) return null;
+    return (machine.parts || []).find(p => p.name === name) || null;
+}
+
 function normalizeMachine(m)
 {
     // Note: machines can target either a physical MIDI output (legacy `out`)
@@ -35,6 +121,8 @@ function normalizeMachine(m)
         id: String(m.id || makeId()),
         name: String(m.name || "Machine"),
         midnamFile: m.midnamFile == null ? null : String(m.midnamFile), // MIDNAM filename or null
+        // <Model> choisi quand le fichier décrit plusieurs appareils (null = le premier)
+        midnamModel: m.midnamModel == null || m.midnamModel === "" ? null : String(m.midnamModel),
         // Legacy: physical port name. Kept for backward compatibility.
         out: m.out == null ? null : String(m.out),
         // Preferred: slot id (1..256). Stored as a number, or null.
@@ -43,7 +131,18 @@ function normalizeMachine(m)
             const v = (m && m.outSlot != null) ? parseInt(String(m.outSlot), 10) : NaN;
             return Number.isFinite(v) ? Math.min(256, Math.max(1, v)) : null;
         })(),
-        channel: Number.isFinite(m.channel) ? Math.min(16, Math.max(1, m.channel)) : 1
+        channel: Number.isFinite(m.channel) ? Math.min(16, Math.max(1, m.channel)) : 1,
+        // Parties (multitimbral): une route peut viser une partie et son canal au lieu de `channel`
+        parts: normalizeParts(m.parts),
+        bankSelect: normalizeBankSelect(m.bankSelect),
+        // Écart minimum (ms) entre deux messages envoyés à cette machine (JV-2080, vieux Kurzweil...)
+        sendDelayMs: (() =>
+        {
+            const v = (m && m.sendDelayMs != null) ? parseInt(String(m.sendDelayMs), 10) : NaN;
+            return Number.isFinite(v) ? Math.min(1000, Math.max(0, v)) : 0;
+        })(),
+        // Reçoit l'horloge MIDI (Start/Stop/Continue, F8) quand MIDISTAGE est maître
+        clock: !!(m && m.clock)
     };
 }
 
@@ -149,4 +248,13 @@ class MachinesStore
     }
 }
 
-module.exports = { MachinesStore };
+module.exports = {
+    MachinesStore,
+    normalizeBankSelect,
+    BANK_SELECT_MODES,
+    BANK_SELECT_ORDERS,
+    normalizeParts,
+    parsePartsText,
+    formatPartsText,
+    findPart
+};
@@ -37,7 +37,7 @@ class MidiPortsStore
     this.path = opts.path || "data/midiports.json";
     this.slotsCount = Number.isFinite(opts.slotsCount) ? opts.slotsCount : 256;
 
-    this._slots = []; // [{slot:number, label:string|null, port:string|null}]
+    this._slots = []; // [{slot:number, label:string|null, port:string|null, delayMs:number}]
     this.load();
   }
 
@@ -63,7 +63,9 @@ class MidiPortsStore
       const s = slots.find(x => Number(x.slot) === i) || { slot: i };
       const label = (s.label == null) ? null : String(s.label);
       const port = (s.port == null) ? null : String(s.port);
-      norm.push({ slot: i, label, port });
+      const d = parseInt(String(s.delayMs), 10);
+      const delayMs = Number.isFinite(d) ? Math.min(1000, Math.max(0, d)) : 0;
+      norm.push({ slot: i, label, port, delayMs });
     }
 
     this._slots = norm;
@@ -93,7 +95,8 @@ class MidiPortsStore
       slots: this._slots.map(s => ({
         slot: s.slot,
         label: s.label || null,
-        port: s.port || null
+        port: s.port || null,
+        delayMs: s.delayMs || 0
       }))
     };
 
@@ -140,6 +143,24 @@ class MidiPortsStore
     return true;
   }
 
+  // Écart minimum (ms) entre deux messages sur ce port
+  getDelay(slot)
+  {
+    const s = this.getSlot(slot);
+    return s ? (s.delayMs || 0) : 0;
+  }
+
+  setDelay(slot, ms)
+  {
+    const s = this.getSlot(slot);
+    if (!s) return false;
+
+    const n = parseInt(String(ms), 10);
+    s.delayMs = Number.isFinite(n) ? Math.min(1000, Math.max(0, n)) : 0;
+    this.save();
+    return true;
+  }
+
   slotToLabel(slot)
   {
     const s = this.getSlot(slot);
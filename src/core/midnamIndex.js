@@ -0,0 +1,383 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { parseLibraryFile, isLibraryFile } = require("../midnam/parseLibraryFile");
+const { resolveMidnamModel, needsLibrary, headerMatches } = require("../midnam/resolveMidnam");
+const { selectDeviceModel } = require("../midnam/parseMidnam");
+const { parseMiddevFile } = require("../midnam/parseMiddev");
+
+// À incrémenter quand la forme retournée par le parser change: tout le cache est alors reconstruit
+const PARSER_VERSION = 5;
+
+function safeReadJson(filePath, fallback)
+{
+    try
+    {
+        if (!fs.existsSync(filePath)) return fallback;
+        const txt = fs.readFileSync(filePath, "utf8");
+        return JSON.parse(txt);
+    }
+    catch
+    {
+        return fallback;
+    }
+}
+
+function safeWriteJson(filePath, obj, pretty = true)
+{
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, pretty ? JSON.stringify(obj, null, 2) : JSON.stringify(obj), "utf8");
+}
+
+function cacheKey(relPath)
+{
+    return crypto.createHash("sha1").update(relPath).digest("hex");
+}
+
+// { manufacturer, models } seulement (les listes des ExtendingDeviceNames restent dans le cache)
+function headersOf(list)
+{
+    return (Array.isArray(list) ? list : []).map(d => ({ manufacturer: d.manufacturer || "", models: d.models || [] }));
+}
+
+/**
+ * Index persistant de la bibliothèque (.midnam, .ins, .reabank) (data/midnam-index.json + data/midnam-cache/).
+ * L'index garde par fichier: mtime, taille, fabricant, modèle, nom d'appareil.
+ * Le modèle parsé complet est stocké à part (un JSON par fichier) pour garder l'index léger.
+ * Une entrée est invalidée dès que mtime ou taille du fichier source change.
+ *
+ * Le cache garde le modèle brut (sans références externes); getModel() le résout contre le reste
+ * de la bibliothèque (ExtendingDeviceNames: cartes d'extension, appareil de base) à chaque chargement.
+ */
+class MidnamIndex
+{
+    constructor(options = {})
+    {
+        this.midnamDir = options.midnamDir;
+        this.filePath = options.filePath || path.join(process.cwd(), "data", "midnam-index.json");
+        this.cacheDir = options.cacheDir || path.join(path.dirname(this.filePath), "midnam-cache");
+
+        this.data = { version: PARSER_VERSION, files: {} };
+        this._fileList = null; // scan du dossier, gardé en mémoire jusqu'au prochain rescan
+        this._headers = null;  // appareils décrits/étendus par fichier, pour la résolution entre fichiers
+        this._deviceTypeFiles = []; // fichiers .middev (MIDIDeviceTypes) trouvés au scan
+        this._deviceTypes = null;
+        this._dirty = false;
+
+        this.load();
+    }
+
+    load()
+    {
+        const raw = safeReadJson(this.filePath, null);
+
+        if (!raw || raw.version !== PARSER_VERSION || !raw.files || typeof raw.files !== "object")
+        {
+            this.data = { version: PARSER_VERSION, files: {} };
+            return;
+        }
+
+        this.data = raw;
+    }
+
+    save()
+    {
+        safeWriteJson(this.filePath, this.data);
+        this._dirty = false;
+    }
+
+    _flush()
+    {
+        if (this._dirty) this.save();
+    }
+
+    /**
+     * Fichiers de la bibliothèque (chemins relatifs à midnamDir, triés).
+     * @param {{ rescan?: boolean }} options - rescan = relire le dossier (nouveaux fichiers, suppressions)
+     */
+    listFiles({ rescan = false } = {})
+    {
+        if (this._fileList && !rescan) return [...this._fileList];
+
+        const results = [];
+        const deviceTypeFiles = [];
+        const walk = (dir) =>
+        {
+            let list = [];
+            try { list = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+
+            for (const d of list)
+            {
+                const fullPath = path.join(dir, d.name);
+                if (d.isDirectory()) walk(fullPath);
+                else if (isLibraryFile(d.name))
+                {
+                    results.push(path.relative(this.midnamDir, fullPath));
+                }
+                else if (path.extname(d.name).toLowerCase() === ".middev")
+                {
+                    deviceTypeFiles.push(path.relative(this.midnamDir, fullPath));
+                }
+            }
+        };
+
+        if (this.midnamDir) walk(this.midnamDir);
+        results.sort((a, b) => a.localeCompare(b));
+        this._fileList = results;
+        this._deviceTypeFiles = deviceTypeFiles.sort((a, b) => a.localeCompare(b));
+        this._headers = null;
+        this._deviceTypes = null;
+
+        // Purge des fichiers disparus
+        const present = new Set(results);
+        for (const rel of Object.keys(this.data.files))
+        {
+            if (present.has(rel)) continue;
+            this._removeEntry(rel);
+        }
+        this._flush();
+
+        return [...results];
+    }
+
+    _removeEntry(rel)
+    {
+        delete this.data.files[rel];
+        try { fs.unlinkSync(path.join(this.cacheDir, `${cacheKey(rel)}.json`)); } catch { }
+        this._dirty = true;
+    }
+
+    _stat(rel)
+    {
+        const st = fs.statSync(path.join(this.midnamDir, rel));
+        return { mtimeMs: Math.trunc(st.mtimeMs), size: st.size };
+    }
+
+    _isFresh(entry, st)
+    {
+        return !!entry && entry.mtimeMs === st.mtimeMs && entry.size === st.size;
+    }
+
+    // Parse le fichier source (modèle brut) et met à jour index + cache
+    _reindex(rel, st)
+    {
+        const parsed = parseLibraryFile(path.join(this.midnamDir, rel), { resolve: false });
+
+        safeWriteJson(path.join(this.cacheDir, `${cacheKey(rel)}.json`), parsed, false);
+
+        const banks = Array.isArray(parsed.banks) ? parsed.banks.filter(b => b.patches.length) : [];
+        const entry = {
+            mtimeMs: st.mtimeMs,
+            size: st.size,
+            manufacturer: parsed.manufacturer || "",
+            model: parsed.model || "",
+            deviceName: parsed.deviceName || rel,
+            banks: banks.length,
+            patches: banks.reduce((n, b) => n + b.patches.length, 0),
+            devices: headersOf(parsed.devices),
+            extending: headersOf(parsed.extending),
+            needsLibrary: needsLibrary(parsed)
+        };
+
+        this.data.files[rel] = entry;
+        this._dirty = true;
+        this._headers = null;
+
+        return { entry, parsed };
+    }
+
+    // Modèle brut: depuis le cache si le fichier n'a pas changé
+    _rawModel(rel)
+    {
+        const st = this._stat(rel);
+        const entry = this.data.files[rel];
+
+        if (this._isFresh(entry, st))
+        {
+            const cached = safeReadJson(path.join(this.cacheDir, `${cacheKey(rel)}.json`), null);
+            if (cached && Array.isArray(cached.banks)) return cached;
+        }
+
+        const { parsed } = this._reindex(rel, st);
+        this._flush();
+        return parsed;
+    }
+
+    // [ { rel, devices, extending } ] pour toute la bibliothèque (indexe les fichiers manquants)
+    _libraryHeaders()
+    {
+        if (this._headers) return this._headers;
+
+        const headers = [];
+        for (const rel of this.listFiles())
+        {
+            try
+            {
+                const e = this.getInfo(rel);
+                headers.push({ rel, devices: e.devices || [], extending: e.extending || [] });
+            }
+            catch { }
+        }
+
+        this._headers = headers;
+        return headers;
+    }
+
+    // lookup de resolveMidnamModel: références vers les autres fichiers de la bibliothèque
+    _libraryLookup(selfRel)
+    {
+        const headers = this._libraryHeaders().filter(h => h.rel !== selfRel);
+        const raws = new Map();
+        const raw = (rel) =>
+        {
+            if (!raws.has(rel)) raws.set(rel, this._rawModel(rel));
+            return raws.get(rel);
+        };
+
+        return {
+            extensionLists: (manufacturer, model) =>
+            {
+                const out = [];
+                for (const h of headers)
+                {
+                    if (!h.extending.some(x => headerMatches(x, manufacturer, model))) continue;
+                    for (const block of raw(h.rel).extending || [])
+                    {
+                        if (headerMatches(block, manufacturer, model)) out.push({ file: h.rel, patchNameLists: block.patchNameLists || {} });
+                    }
+                }
+                return out;
+            },
+
+            baseDevice: (manufacturer, models) =>
+            {
+                for (const m of models)
+                {
+                    const h = headers.find(x => x.devices.some(d => headerMatches(d, manufacturer, m)));
+                    if (h) return { file: h.rel, model: raw(h.rel) };
+                }
+                return null;
+            }
+        };
+    }
+
+    /**
+     * Métadonnées d'un fichier (sans charger le modèle complet).
+     * @returns {{ file, mtimeMs, size, manufacturer, model, deviceName, banks, patches }}
+     */
+    getInfo(rel)
+    {
+        const st = this._stat(rel);
+        let entry = this.data.files[rel];
+
+        if (!this._isFresh(entry, st))
+        {
+            entry = this._reindex(rel, st).entry;
+            this._flush();
+        }
+
+        return Object.assign({ file: rel }, entry);
+    }
+
+    /**
+     * Modèle parsé { deviceName, banks, ... }, références entre fichiers résolues.
+     * options.model choisit l'appareil d'un fichier qui en décrit plusieurs (défaut: le premier).
+     * Chaque appel retourne une copie indépendante.
+     */
+    getModel(rel, { model = null } = {})
+    {
+        const raw = this._rawModel(rel);
+        const resolved = resolveMidnamModel(raw, needsLibrary(raw) ? this._libraryLookup(rel) : null);
+        return selectDeviceModel(resolved, model);
+    }
+
+    /**
+     * Noms des PatchNameList que d'autres fichiers (ExtendingDeviceNames) fournissent aux appareils de ce fichier.
+     * @returns {Set<string>}
+     */
+    externalPatchNameLists(rel)
+    {
+        const names = new Set();
+        const info = this.getInfo(rel);
+        if (!info.needsLibrary) return names;
+
+        const lookup = this._libraryLookup(rel);
+        for (const d of info.devices || [])
+        {
+            for (const m of d.models)
+            {
+                for (const x of lookup.extensionLists(d.manufacturer, m)) Object.keys(x.patchNameLists).forEach(n => names.add(n));
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Types d'appareils des fichiers .middev de la bibliothèque (InquiryResponse, DeviceID), gardés en mémoire
+     * jusqu'au prochain rescan. Chaque entrée porte son fichier source (file).
+     */
+    deviceTypes()
+    {
+        if (this._deviceTypes) return this._deviceTypes;
+        if (!this._fileList) this.listFiles();
+
+        const out = [];
+        for (const rel of this._deviceTypeFiles)
+        {
+            try
+            {
+                for (const d of parseMiddevFile(path.join(this.midnamDir, rel))) out.push(Object.assign({ file: rel }, d));
+            }
+            catch { }
+        }
+
+        this._deviceTypes = out;
+        return out;
+    }
+
+    /**
+     * Fichier de la bibliothèque qui décrit cet appareil (MasterDeviceNames), avec le nom exact du <Model>.
+     * @returns {{ file: string, model: string } | null}
+     */
+    findDevice(manufacturer, model)
+    {
+        for (const h of this._libraryHeaders())
+        {
+            const d = h.devices.find(x => headerMatches(x, manufacturer, model));
+            if (d) return { file: h.rel, model: d.models.find(m => headerMatches({ manufacturer, models: [m] }, manufacturer, model)) };
+        }
+        return null;
+    }
+
+    /**
+     * Réindexe toute la bibliothèque (fichiers nouveaux ou modifiés seulement).
+     * @returns {{ total: number, parsed: number, errors: Array<{ file, error }> }}
+     */
+    rebuild({ force = false } = {})
+    {
+        const files = this.listFiles({ rescan: true });
+        const errors = [];
+        let parsed = 0;
+
+        for (const rel of files)
+        {
+            try
+            {
+                const st = this._stat(rel);
+                if (!force && this._isFresh(this.data.files[rel], st)) continue;
+                this._reindex(rel, st);
+                parsed++;
+            }
+            catch (e)
+            {
+                errors.push({ file: rel, error: e.message });
+            }
+        }
+
+        this._flush();
+        return { total: files.length, parsed, errors };
+    }
+}
+
+module.exports = { MidnamIndex };
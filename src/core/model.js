@@ -3,17 +3,34 @@
 const path = require("path");
 const child_process = require("child_process");
 
-const { parseMidnamFile } = require("../midnam/parseMidnam");
+const { banksForChannel, channelNameSetForChannel, noteNamesForPatch } = require("../midnam/parseMidnam");
+const { writeMidnamFile } = require("../midnam/writeMidnam");
+const { lintLibraryFile } = require("../midnam/lintMidnam");
 const midiDriver = require("../midi/driver");
-const { MachinesStore } = require("./machines");
-const { SetlistsStore, normalizeHotkey } = require("./setlists");
+const { parseSysExHex, formatSysExHex, buildIdentityRequest, parseIdentityReply } = require("../midi/sysex");
+const { messageToBytes, formatMessage } = require("../midi/messages");
+const { MachinesStore, findPart } = require("./machines");
+const { SetlistsStore, normalizeHotkey, sameRoute, routeTargetsPatch } = require("./setlists");
 const { MidiPortsStore } = require("./midiports");
+const { MidnamIndex } = require("./midnamIndex");
+const { OverlaysStore } = require("./overlays");
+const { MachineHealthMonitor } = require("./health");
+const { MidiClock } = require("../midi/clock");
 
 const { EventEmitter } = require("events");
 
 const REMOTE_MAIN_TIP_TEXT = " HELP? | ----- | SHOW ! | ABOUT";
 const REMOTE_CLOSE_TIP_TEXT = " ----- | ----- | ----- | CLOSE";
 
+// Notes de l'entrée défilant sur la ligne 2 de la remote après un rappel
+const REMOTE_WIDTH = 20;
+const NOTES_TICKER_LINES = 3;
+const NOTES_TICKER_DELAY_MS = 1500;
+const NOTES_TICKER_STEP_MS = 250;
+const NOTES_TICKER_PASSES = 2;
+
+const UNSENDABLE_BANK_MESSAGE = "Banque sans bank select connu (carte d'extension sans emplacement sur l'appareil de base).";
+
 const gaycolors = [
     "#ff0000", // Rouge
     "#ff5500",
@@ -36,6 +53,17 @@ const gaycolors = [
     "#ff00ff"  // Magenta
   ];
 
+function sameBytes(a, b)
+{
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+// Banque marquée sendable: false par resolveMidnam; les PatchMIDICommands du patch restent envoyables
+function isUnsendable(bank, patch)
+{
+    return bank?.sendable === false && !(Array.isArray(patch?.commands) && patch.commands.length);
+}
+
 function fuzzyMatch(query, text)
 {
     query = (query || "").toLowerCase();
@@ -61,25 +89,34 @@ class Model extends EventEmitter
         super();
         this.midnamDir = options.midnamDir;
         this.fuzzySearchEnabled = !!options.fuzzySearchEnabled;
+        // Rappel différentiel: une route identique à ce qui a déjà été envoyé sur ce canal n'est pas renvoyée
+        this.smartRecall = !!options.smartRecall;
         this.machines = new MachinesStore(options.machines || {});
         this.setlists = new SetlistsStore(options.setlists || {});
         this.midiports = new MidiPortsStore(options.midiports || {});
 
-        this._midnamNameCache = new Map();
+        // Index persistant de la bibliothèque: évite de re-parser le XML à chaque chargement
+        this.midnamIndex = new MidnamIndex(Object.assign({ midnamDir: this.midnamDir }, options.midnamIndex || {}));
+        // Noms utilisateur (banques RAM) par machine, appliqués par-dessus le .midnam
+        this.overlays = new OverlaysStore(options.overlays || {});
 
         this.state = {
             currentMidnamFile: null,
+            currentMachineId: null,
             model: null,
+            fullModel: null,
             bankIndex: 0,
             patchFilter: "",
             globalSearchResults: null,
-            selectedPatchIndex: 0
+            selectedPatchIndex: 0,
+            // Partie choisie au browse pour la machine active: { machineId, name } ou null
+            activePart: null
         };
 
         // Draft = “cue en cours de construction” (multi-machines)
         this.draft = {
             name: "",
-            routes: [] // [{ machineId, midnamFile, deviceName, bankName, msb, lsb, program, patchName }]
+            routes: [] // [{ machineId, part, midnamFile, deviceName, bankName, msb, lsb, program, patchName }]
         };
 
 
@@ -91,6 +128,27 @@ class Model extends EventEmitter
 
         // remote: we start always at main menu
         this.currentMenu = "main";
+
+        // Dernier envoi par machine et canal: "machineId_canal" -> { signature, program, patchName, sentAt }
+        this._sentRoutes = new Map();
+
+        // Dernier statut affiché sur la remote pour l'entrée courante (WT / OK / KO)
+        this.remoteEntryStatus = "WT";
+
+        // Défilement des notes sur la remote: { timer, entryName }
+        this._notesTicker = null;
+
+        // Machines en ligne / hors ligne (démarré par startHealthMonitor)
+        this.health = new MachineHealthMonitor({
+            listMachines: () => this.machines.list(),
+            resolveOut: (m) => this.resolveMachineOut(m)
+        });
+        this.health.on("status", (e) => this._onMachineStatus(e));
+
+        // Horloge MIDI maître, envoyée aux sorties des machines marquées "clock"
+        this.clock = new MidiClock({ send: (port, bytes) => midiDriver.sendNow(port, bytes) });
+        this.clock.on("state", (st) => this.emit("clockState", st));
+        this.clock.on("portError", (e) => this.emit("clockPortError", e));
     }
 
 
@@ -139,6 +197,90 @@ class Model extends EventEmitter
         return this.machines.getActive();
     }
 
+    /**
+     * Partie active de la machine active (envoi et draft depuis le browse); null = canal de la machine.
+     * @returns {{ name: string, channel: number } | null}
+     */
+    getActivePart()
+    {
+        const machine = this.machines.getActive();
+        const sel = this.state.activePart;
+        if (!machine || !sel || sel.machineId !== machine.id) return null;
+        return findPart(machine, sel.name);
+    }
+
+    // Canal effectif de la machine active (partie active, sinon canal de la machine)
+    getActiveChannel()
+    {
+        const part = this.getActivePart();
+        if (part) return part.channel;
+
+        const machine = this.machines.getActive();
+        return machine ? (machine.channel || 1) : 1;
+    }
+
+    /**
+     * Passe à la partie suivante de la machine active (aucune partie -> partie 1 -> ... -> aucune).
+     * @returns {{ ok: boolean, message: string, part?: object|null }}
+     */
+    cycleActivePart(delta = 1)
+    {
+        const machine = this.machines.getActive();
+        if (!machine) return { ok: false, message: "Aucune machine active." };
+
+        const parts = machine.parts || [];
+        if (!parts.length) return { ok: false, message: `${machine.name}: no parts defined (Machines page).` };
+
+        const cur = this.getActivePart();
+        const n = parts.length + 1; // + "pas de partie"
+        const idx = cur ? parts.findIndex(p => p.name === cur.name) + 1 : 0;
+        const next = ((idx + delta) % n + n) % n;
+
+        const part = next === 0 ? null : parts[next - 1];
+        this.state.activePart = part ? { machineId: machine.id, name: part.name } : null;
+
+        return {
+            ok: true,
+            part,
+            message: part ? `${machine.name}: part ${part.name} (CH${part.channel})` : `${machine.name}: machine channel (CH${machine.channel || 1})`
+        };
+    }
+
+    /**
+     * Machine à utiliser pour une partie: copie avec le canal de la partie.
+     * Sans partie: la machine telle quelle; partie inconnue: null.
+     */
+    _machineOnPart(machine, partName)
+    {
+        if (!machine) return null;
+        if (partName == null) return machine;
+
+        const part = findPart(machine, partName);
+        return part ? Object.assign({}, machine, { channel: part.channel }) : null;
+    }
+
+    /**
+     * Machine à utiliser pour une route: canal surchargé par la route, sinon celui de sa partie, sinon la machine.
+     * Partie inconnue sans surcharge de canal: null.
+     */
+    _routeMachine(machine, route)
+    {
+        if (!machine) return null;
+        if (route && route.channel != null) return Object.assign({}, machine, { channel: route.channel });
+        return this._machineOnPart(machine, route ? route.part : null);
+    }
+
+    /**
+     * Canal sur lequel une route est envoyée (surcharge de la route, partie visée, sinon canal de la machine).
+     * @returns {number|null} null si la machine ou la partie est introuvable
+     */
+    resolveRouteChannel(route)
+    {
+        const machine = route ? this.machines.getById(route.machineId) : null;
+        const m = this._routeMachine(machine, route);
+        return m ? (m.channel || 1) : null;
+    }
+
     cycleActiveMachine(delta = 1)
     {
         const list = this.machines.list();
@@ -233,7 +375,8 @@ class Model extends EventEmitter
         const res = this.recallEntry(entryId);
 
         // ensure UI refresh even if recall had partial errors
-        console.log("[MODEL] Activate entry: " + res);
+        res.then((r) => console.log("[MODEL] Activate entry: " + r.message))
+            .catch((e) => console.warn("[MODEL] Activate entry failed: " + (e?.message || e)));
         return res;
     }
 
@@ -298,6 +441,8 @@ class Model extends EventEmitter
         const remoteKey = String(key || "").trim().toUpperCase();
         if (!remoteKey) return;
 
+        this._stopNotesTicker();
+
         const hotkey = normalizeHotkey(remoteKey);
         if (hotkey)
         {
@@ -327,6 +472,10 @@ class Model extends EventEmitter
             case "MR":
                 this.triggerFunctionKey(5);
                 return;
+            case "JOY_UP":
+                // FUNC puis JOY_UP (dans le menu power) = panic
+                if (this.currentMenu === "power") this.executeRemotePanic();
+                return;
             case "FUNC":
                 if (this.currentMenu !== "power") 
                 {
@@ -378,16 +527,59 @@ class Model extends EventEmitter
         }
     }
 
+    /**
+     * Actions coming from a non-G13 remote (MIDI footswitch / pedalboard).
+     * Unlike G13 keys they are not gated by the remote menus: an open aux or
+     * power menu is closed first, then the action runs.
+     * @param {string} action - entryNext | entryPrev | setlistNext | setlistPrev | recall | hotkey | panic
+     * @param {string} [key] - G1..G22 for "hotkey"
+     */
+    handleRemoteAction(action, key)
+    {
+        if (this.currentMenu === "power") this.closeRemotePowerMenu();
+        else if (this.currentMenu !== "main") this.closeRemoteAuxScreen();
+
+        const s = this.getActiveSetlist();
+        const hasEntries = !!(s && Array.isArray(s.entries) && s.entries.length);
+
+        console.log("[MODEL] REMOTE ACTION: " + action + (key ? " " + key : ""));
+
+        switch (String(action || ""))
+        {
+            case "entryNext":
+                if (!hasEntries) return;
+                return this.activateEntryDelta(+1);
+            case "entryPrev":
+                if (!hasEntries) return;
+                return this.activateEntryDelta(-1);
+            case "setlistNext":
+                return this.activateSetlistDelta(1);
+            case "setlistPrev":
+                return this.activateSetlistDelta(-1);
+            case "recall":
+                if (!hasEntries) return;
+                return this.activateEntry(this.currentEntryId || s.entries[0].id);
+            case "hotkey":
+                return this.triggerSetlistHotkey(key);
+            case "panic":
+                return this.panic();
+            default:
+                return;
+        }
+    }
+
     showRemoteCurrentSetlist()
     {
         const uis = this.getUiState();
         let currentName = uis.currentEntryName;
         if (this.getActiveSetlist().entries.length == 0) currentName = "<NO ENTRY>";
 
+        this._stopNotesTicker(false);
+        this.remoteEntryStatus = "WT";
         this.emit?.("changedSetlist", {
             setlist:`{${uis.currentSetlistName}}`,
             entry:currentName,
-            status:"WT"
+            status:this._remoteStatusCode()
         });
     }
 
@@ -465,6 +657,24 @@ class Model extends EventEmitter
         this.showRemoteCurrentSetlist();
     }
 
+    executeRemotePanic()
+    {
+        this.closeRemotePowerMenu();
+        this.emit("remoteMessage", {
+            up:"!!! MIDI PANIC !!!",
+            down:"All notes off..."
+        });
+
+        return this.panic().then((res) =>
+        {
+            this.emit("remoteMessage", {
+                up:"!!! MIDI PANIC !!!",
+                down: res.ok ? "Done." : "Partial (see log)"
+            });
+            return res;
+        });
+    }
+
     executeRemoteReboot()
     {
         this.emit("remoteMessage", {
@@ -641,10 +851,12 @@ class Model extends EventEmitter
         const s = this.getActiveSetlist();
         this.currentEntryId = s?.entries?.[0]?.id || null;
 
+        this._stopNotesTicker(false);
+        this.remoteEntryStatus = "WT";
         this.emit?.("changedSetlist", {
             setlist:`{${s.name}}`,
             entry:s?.entries?.[0]?.name || "<NO ENTRY>",
-            status:"WT"
+            status:this._remoteStatusCode()
         });
         return ok;
     }
@@ -667,27 +879,29 @@ class Model extends EventEmitter
         return this.setlists.removeSetlist(id);
     }
 
-    updateEntryRouteFromDraft(entryId, machineId)
+    // Route du draft pour cette machine/partie; à défaut, celle de la machine, appliquée à la partie de la route
+    updateEntryRouteFromDraft(entryId, machineId, part = null)
     {
         const s = this.getActiveSetlist();
         if (!s) return { ok: false, message: "No active setlist." };
 
-        const r = this.draft.routes.find(x => x.machineId === machineId);
+        const r = this.draft.routes.find(x => sameRoute(x, { machineId, part }))
+            || this.draft.routes.find(x => x.machineId === machineId);
         if (!r) return { ok: false, message: "Draft has no route for that machine." };
 
-        const ok = this.setlists.upsertRoute(s.id, entryId, r);
+        const ok = this.setlists.upsertRoute(s.id, entryId, Object.assign({}, r, { part }));
         return { ok, message: ok ? "Route updated from draft." : "Route update failed." };
     }
 
-    removeEntryRoute(entryId, machineId)
+    removeEntryRoute(entryId, machineId, part = null)
     {
         const s = this.getActiveSetlist();
         if (!s) return false;
-        return this.setlists.removeRoute(s.id, entryId, machineId);
+        return this.setlists.removeRoute(s.id, entryId, machineId, part);
     }
 
 
-    updateEntryRouteCC(entryId, machineId, ccSlots)
+    updateEntryRouteMessages(entryId, machineId, messages, part = null)
     {
         const s = this.getActiveSetlist();
         if (!s) return { ok: false, message: "No active setlist." };
@@ -695,71 +909,132 @@ class Model extends EventEmitter
         const e = this.setlists.getEntry(s.id, entryId);
         if (!e) return { ok: false, message: "Entry not found." };
 
-        const existing = Array.isArray(e.routes) ? e.routes.find(r => r && r.machineId === machineId) : null;
+        const existing = Array.isArray(e.routes) ? e.routes.find(r => sameRoute(r, { machineId, part })) : null;
         if (!existing) return { ok: false, message: "Route not found for that machine." };
 
-        const copy = Object.assign({}, existing, { ccSlots: Array.isArray(ccSlots) ? ccSlots : [] });
+        const copy = Object.assign({}, existing, { messages: Array.isArray(messages) ? messages : [] });
 
         const ok = this.setlists.upsertRoute(s.id, entryId, copy);
-        return { ok, message: ok ? "CC slots updated." : "CC update failed." };
+        return { ok, message: ok ? "Messages updated." : "Messages update failed." };
     }
 
-    getEntryRoute(entryId, machineId)
+    updateEntryRouteSysEx(entryId, machineId, sysexList, part = null)
     {
         const s = this.getActiveSetlist();
-        if (!s) return null;
+        if (!s) return { ok: false, message: "No active setlist." };
+
         const e = this.setlists.getEntry(s.id, entryId);
-        if (!e) return null;
-        return (Array.isArray(e.routes) ? e.routes.find(r => r && r.machineId === machineId) : null) || null;
+        if (!e) return { ok: false, message: "Entry not found." };
+
+        const existing = Array.isArray(e.routes) ? e.routes.find(r => sameRoute(r, { machineId, part })) : null;
+        if (!existing) return { ok: false, message: "Route not found for that machine." };
+
+        const copy = Object.assign({}, existing, { sysex: Array.isArray(sysexList) ? sysexList : [] });
+
+        const ok = this.setlists.upsertRoute(s.id, entryId, copy);
+        return { ok, message: ok ? "SysEx updated." : "SysEx update failed." };
     }
 
-    _sendRouteCCSlots(machineRun, ccSlots)
+    /**
+     * Surcharges de la route: { channel, volume, transpose } (null = valeur de la machine / rien d'envoyé).
+     */
+    updateEntryRouteOverrides(entryId, machineId, overrides, part = null)
     {
-        if (!machineRun) return;
-        if (!Array.isArray(ccSlots) || !ccSlots.length) return;
-        if (typeof midiDriver.sendCC !== "function") return;
+        const s = this.getActiveSetlist();
+        if (!s) return { ok: false, message: "No active setlist." };
 
-        const clamp7 = (n) =>
-        {
-            n = Number(n);
-            if (!Number.isFinite(n)) return null;
-            n = n | 0;
-            if (n < 0) n = 0;
-            if (n > 127) n = 127;
-            return n;
-        };
+        const e = this.setlists.getEntry(s.id, entryId);
+        if (!e) return { ok: false, message: "Entry not found." };
+
+        const existing = Array.isArray(e.routes) ? e.routes.find(r => sameRoute(r, { machineId, part })) : null;
+        if (!existing) return { ok: false, message: "Route not found for that machine." };
 
-        // Tu as dit: 4 CC. On respecte.
-        const slots = ccSlots.slice(0, 4);
+        const o = overrides || {};
+        const copy = Object.assign({}, existing, {
+            channel: o.channel ?? null,
+            volume: o.volume ?? null,
+            transpose: o.transpose ?? null
+        });
 
-        for (const s of slots)
-        {
-            if (!s) continue;
+        const ok = this.setlists.upsertRoute(s.id, entryId, copy);
+        return { ok, message: ok ? "Overrides updated." : "Overrides update failed." };
+    }
 
-            const cc = clamp7(s.cc);
-            const value = clamp7(s.value);
+    getEntryRoute(entryId, machineId, part = null)
+    {
+        const s = this.getActiveSetlist();
+        if (!s) return null;
+        const e = this.setlists.getEntry(s.id, entryId);
+        if (!e) return null;
+        return (Array.isArray(e.routes) ? e.routes.find(r => sameRoute(r, { machineId, part })) : null) || null;
+    }
 
-            if (cc == null || value == null) continue;
+    // SysEx de la route -> items de séquence driver [{ bytes, delayMs }]
+    _routeSysExSequence(machineRun, sysexList)
+    {
+        if (!Array.isArray(sysexList) || !sysexList.length) return [];
 
+        return sysexList.map((hex) =>
+        {
+            let bytes;
             try
             {
-                midiDriver.sendCC(machineRun, cc, value);
-
-                this.logSend(
-                    "SETLIST_CC",
-                    machineRun,
-                    { name: "CC", msb: null, lsb: null },
-                    { program: null, name: `CC${cc}=${value}` }
-                );
+                bytes = parseSysExHex(hex);
             }
-            catch
+            catch (ex)
             {
-                // non-fatal: ne bloque pas le recall
+                throw new Error(`SysEx invalide (${hex}): ${ex.message}`);
             }
+
+            this.logSend(
+                "SETLIST_SYSEX",
+                machineRun,
+                { name: "SysEx", msb: null, lsb: null },
+                { program: null, name: formatSysExHex(bytes) }
+            );
+
+            return { bytes, delayMs: 0 };
+        });
+    }
+
+    // Messages de la route -> items de séquence; le délai d'un message s'applique à son premier octet
+    _routeMessagesSequence(machineRun, messages)
+    {
+        if (!Array.isArray(messages) || !messages.length) return [];
+
+        const ch = Math.max(1, Math.min(16, Number(machineRun.channel || 1))) - 1;
+        const seq = [];
+
+        for (const m of messages)
+        {
+            if (!m) continue;
+
+            messageToBytes(m, ch).forEach((bytes, i) =>
+            {
+                seq.push({ bytes, delayMs: i === 0 ? (m.delayMs || 0) : 0 });
+            });
+
+            this.logSend(
+                "SETLIST_MSG",
+                machineRun,
+                { name: "MSG", msb: null, lsb: null },
+                { program: null, name: formatMessage(m) }
+            );
         }
+
+        return seq;
     }
 
+    // Surcharges volume/transposition de la route -> items de séquence (après bank/program, avant les messages)
+    _routeOverridesSequence(machineRun, r)
+    {
+        const messages = [];
+        if (r.volume != null) messages.push({ type: "cc", cc: 7, value: r.volume });
+        // RPN 2 (Channel Coarse Tuning): 64 = pas de transposition
+        if (r.transpose != null) messages.push({ type: "rpn", param: 2, value: 64 + r.transpose, lsb: 0 });
 
+        return this._routeMessagesSequence(machineRun, messages);
+    }
 
     duplicateEntry(entryId, newName)
     {
@@ -778,27 +1053,117 @@ class Model extends EventEmitter
 
     // ---------- Midnam helpers ----------
 
-    peekMidnamDeviceName(fileName)
+    peekMidnamDeviceName(fileName, modelName = null)
     {
-        if (this._midnamNameCache.has(fileName))
+        const info = this.midnamIndex.getInfo(fileName);
+        if (modelName != null)
         {
-            return this._midnamNameCache.get(fileName);
+            const d = (info.devices || []).find(x => x.models.includes(modelName));
+            if (d) return d.manufacturer ? `${d.manufacturer} ${modelName}` : modelName;
         }
+        return info.deviceName || fileName;
+    }
+
+    /**
+     * Modèles décrits par un fichier (plusieurs <Model> / MasterDeviceNames): [ { manufacturer, model } ].
+     */
+    listMidnamModels(fileName)
+    {
+        const info = this.midnamIndex.getInfo(fileName);
+        return (info.devices || []).flatMap(d => d.models.map(model => ({ manufacturer: d.manufacturer, model })));
+    }
+
+    // Modèle résolu d'une machine: fichier + <Model> choisi + overlay de noms
+    _machineModel(m)
+    {
+        return this.overlays.apply(m.id, this.midnamIndex.getModel(m.midnamFile, { model: m.midnamModel }));
+    }
+
+    /**
+     * Fichiers de la bibliothèque (relatifs à midnamDir); rescan = relire le dossier.
+     */
+    listMidnamFiles(options = {})
+    {
+        return this.midnamIndex.listFiles(options);
+    }
+
+    rebuildMidnamIndex(options = {})
+    {
+        return this.midnamIndex.rebuild(options);
+    }
 
-        const filePath = path.join(this.midnamDir, fileName);
-        const m = parseMidnamFile(filePath);
-        const name = m?.deviceName || fileName;
+    /**
+     * Lint des fichiers de la bibliothèque (chemins relatifs à midnamDir; tous par défaut).
+     * @returns {Array<{ file: string, issues: Array<{ severity, line, message, context }> }>}
+     */
+    lintMidnamFiles(files = null)
+    {
+        const list = files || this.listMidnamFiles({ rescan: true });
 
-        this._midnamNameCache.set(fileName, name);
-        return name;
+        return list.map(rel =>
+        {
+            try
+            {
+                const externalPatchNameLists = this.midnamIndex.externalPatchNameLists(rel);
+                return Object.assign(lintLibraryFile(path.join(this.midnamDir, rel), { externalPatchNameLists }), { file: rel });
+            }
+            catch (e)
+            {
+                return { file: rel, issues: [{ severity: "error", line: null, message: e.message, context: "" }] };
+            }
+        });
     }
 
-    loadMidnam(fileName)
+    /**
+     * Exporte le modèle d'une machine (fichier source + overlay de noms) en .midnam,
+     * par défaut dans data/exports/<nom machine>.midnam.
+     */
+    exportMachineMidnam(machineId, { dirPath = null } = {})
     {
-        const filePath = path.join(this.midnamDir, fileName);
-        const model = parseMidnamFile(filePath);
+        const m = this.machines.getById(machineId);
+        if (!m) return { ok: false, message: "Machine not found." };
+        if (!m.midnamFile) return { ok: false, message: `${m.name}: no MIDNAM file assigned.` };
+
+        try
+        {
+            const full = this._machineModel(m);
+            const safe = String(m.name).replace(/[^A-Za-z0-9 _.-]/g, "_").trim() || m.id;
+            const filePath = path.join(dirPath || path.join(process.cwd(), "data", "exports"), `${safe}.midnam`);
+
+            writeMidnamFile(filePath, full);
+
+            const patches = full.banks.reduce((n, b) => n + b.patches.length, 0);
+            return { ok: true, filePath, message: `Exported ${m.name}: ${full.banks.length} bank(s), ${patches} patch(es) -> ${filePath}` };
+        }
+        catch (e)
+        {
+            return { ok: false, message: `Export error: ${e.message}` };
+        }
+    }
+
+    /**
+     * Charge un .midnam comme instrument courant.
+     * Avec un canal (1..16), seules les banques de son ChannelNameSet sont exposées au browse;
+     * le modèle complet reste dans state.fullModel. Avec une machine, son overlay de noms est appliqué
+     * et son <Model> choisi (midnamModel) est utilisé si elle pointe sur ce fichier.
+     */
+    loadMidnam(fileName, channel = null, machineId = null)
+    {
+        const m = machineId ? this.machines.getById(machineId) : null;
+        const modelName = m && m.midnamFile === fileName ? m.midnamModel : null;
+        const full = this.overlays.apply(machineId, this.midnamIndex.getModel(fileName, { model: modelName }));
+
+        const model = (channel == null)
+            ? full
+            : Object.assign({}, full, {
+                banks: banksForChannel(full, channel),
+                channel: Number(channel),
+                channelNameSet: channelNameSetForChannel(full, channel)
+            });
 
         this.state.currentMidnamFile = fileName;
+        this.state.currentMachineId = machineId;
+        this.state.fullModel = full;
         this.state.model = model;
         this.state.bankIndex = 0;
         this.state.patchFilter = "";
@@ -908,8 +1273,9 @@ class Model extends EventEmitter
             return { items: ["<no patches>"], list: [], mode: "none" };
         }
 
+        // Overlay utilisateur marqué d'un "*"
         const items = bank.patches.map(p =>
-            `{cyan-fg}${String(p.program).padStart(3, " ")}{/cyan-fg}  ${p.name}`
+            `{cyan-fg}${String(p.program).padStart(3, " ")}{/cyan-fg}  ${p.name}${p.overlay ? " {magenta-fg}*{/magenta-fg}" : ""}`
         );
 
         return {
@@ -935,6 +1301,19 @@ resolveMachineOut(machine)
     return machine.out || null;
 }
 
+// Écart minimum entre deux messages: le plus grand entre la machine et son port (slot)
+resolveMachineSendGap(machine)
+{
+    if (!machine) return 0;
+
+    const own = Number(machine.sendDelayMs) || 0;
+    const port = (machine.outSlot != null && this.midiports && typeof this.midiports.getDelay === "function")
+        ? (Number(this.midiports.getDelay(machine.outSlot)) || 0)
+        : 0;
+
+    return Math.max(own, port);
+}
+
 sendSelectedPatch(view, selectedIndex)
     {
         const machine = this.machines.getActive() || { id: "default", name: "Machine", out: null, channel: 1 };
@@ -986,9 +1365,10 @@ if (!out)
     return { ok: false, message: "Aucune sortie MIDI assignée (Machines/Ports)." };
 }
 
-const machineRun = Object.assign({}, machine, { out });
+const machineRun = Object.assign({}, machine, { out, channel: this.getActiveChannel() });
 
-const msg = midiDriver.sendPatch(machineRun, bank, patch);
+const msg = midiDriver.sendPatch(machineRun, bank, patch, { gapMs: this.resolveMachineSendGap(machine) });
+            this.resetRecallState(machine.id, machineRun.channel);
             this.logSend("BROWSE_SEND", machineRun, bank, patch);
             return { ok: true, message: `Device: ${m.deviceName}\n${msg}` };
         }
@@ -1006,98 +1386,611 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
         }
     }
 
-    // ---------- Draft (cue building) ----------
+    // ---------- Overlays (noms utilisateur) ----------
 
-    draftClear()
+    /**
+     * Renomme le patch sélectionné pour la machine chargée (name vide = nom d'origine du fichier).
+     * Les routes des setlists et du draft qui visent ce patch reprennent le nouveau nom.
+     */
+    renameSelectedPatch(view, selectedIndex, name)
     {
-        this.draft.name = "";
-        this.draft.routes = [];
-    }
+        const machineId = this.state.currentMachineId;
+        if (!this.state.model || !machineId) return { ok: false, message: "Aucune machine chargée." };
+        if (!view || !Array.isArray(view.list)) return { ok: false, message: "Vue patches invalide." };
 
-    draftGetSummary()
-    {
-        const n = this.draft.routes.length;
-        if (!n) return "Draft: <vide>";
-        const names = this.draft.routes
-            .map(r => r.machineId || "?")
-            .slice(0, 4)
-            .join(", ");
-        return `Draft: ${n} route(s) [${names}${n > 4 ? ", ..." : ""}]`;
-    }
+        const entry = view.list[selectedIndex | 0];
+        if (!entry) return { ok: false, message: "Sélection invalide." };
 
-    snapshotSelectionForSetlist(view, selectedIndex)
-    {
-        const m = this.state.model;
-        if (!m) return null;
+        const bank = (view.mode === "global") ? entry.bank : this.getCurrentBank();
+        const patch = (view.mode === "global") ? entry.patch : entry;
+        if (!bank || patch?.program == null) return { ok: false, message: "Patch invalide (program manquant)." };
 
-        if (!view || !Array.isArray(view.list)) return null;
+        return this._setOverlayName(machineId, bank, patch, name, patch.originalName || patch.name);
+    }
 
-        const idx = selectedIndex | 0;
-        const entry = view.list[idx];
-        if (!entry) return null;
+    /**
+     * Ajoute (ou renomme) un programme dans la banque courante de la machine chargée.
+     */
+    addOverlayPatch(program, name)
+    {
+        const machineId = this.state.currentMachineId;
+        const bank = this.getCurrentBank();
+        if (!machineId || !bank) return { ok: false, message: "Aucune banque chargée." };
 
-        let bank, patch;
+        const prog = Number(program);
+        if (!Number.isInteger(prog) || prog < 0 || prog > 127) return { ok: false, message: "Program invalide (0..127)." };
+        if (!String(name || "").trim()) return { ok: false, message: "Nom vide." };
 
+        return this._setOverlayName(machineId, bank, { program: prog }, name, null);
+    }
 
-        if (view.mode === "global")
+    // patch: { program, commands? }; ses PatchMIDICommands distinguent les patches d'une banque au même program
+    _setOverlayName(machineId, bank, patch, name, originalName)
+    {
+        const clean = String(name || "").trim();
+        const program = patch.program;
+        if (!this.overlays.setPatchName(machineId, bank, patch, clean))
         {
-            bank = entry.bank;
-            patch = entry.patch;
+            return { ok: false, message: "Rien à modifier." };
         }
-        else
+
+        // Nom effectif après changement: overlay, sinon nom d'origine (si le patch existe dans le fichier)
+        const effective = clean || originalName;
+        let routes = 0;
+        if (effective)
         {
-            bank = this.getCurrentBank();
-            patch = entry;
+            routes = this.setlists.renamePatchInRoutes(machineId, bank, patch, effective);
+            for (const r of this.draft.routes)
+            {
+                if (r.machineId === machineId && routeTargetsPatch(r, bank, patch)) r.patchName = effective;
+            }
         }
 
-        const machine = this.machines.getActive() || { id: "default" };
+        this._reloadKeepingView();
 
-        if (patch?.program == null) return null;
+        const what = clean ? `"${clean}"` : "nom d'origine";
+        return { ok: true, message: `${bank.name} ${program} -> ${what}${routes ? ` (${routes} route(s) mises à jour)` : ""}` };
+    }
 
-        return {
-            machineId: machine.id || "default",
-            midnamFile: this.state.currentMidnamFile,
-            channel: machine.channel || 1,
-            deviceName: m.deviceName,
-            bankName: bank?.name || null,
-            msb: bank?.msb ?? null,
-            lsb: bank?.lsb ?? null,
-            program: patch?.program ?? null,
-            patchName: patch?.name || null
-        };
+    // Recharge l'instrument courant (overlay modifié) sans perdre banque/filtre
+    _reloadKeepingView()
+    {
+        const file = this.state.currentMidnamFile;
+        if (!file) return;
+
+        const { bankIndex, patchFilter, selectedPatchIndex } = this.state;
+        this.loadMidnam(file, this.state.model?.channel ?? null, this.state.currentMachineId);
+        this.state.bankIndex = bankIndex;
+        this.state.patchFilter = patchFilter;
+        this.state.selectedPatchIndex = selectedPatchIndex;
     }
 
-    draftUpsertFromCurrentSelection(view, selectedIndex)
+    // ---------- Drum maps (NoteNameList) ----------
+
+    /**
+     * Drum map du patch sélectionné (UsesNoteNameList du .midnam).
+     * @returns {{ ok: boolean, message?: string, patch?: object, listName?: string, notes?: Array<{note, name, group}> }}
+     */
+    getDrumMapView(view, selectedIndex)
     {
-        const snap = this.snapshotSelectionForSetlist(view, selectedIndex);
+        const m = this.state.model;
+        if (!m) return { ok: false, message: "Aucun instrument chargé." };
 
-        if (!snap) return { ok: false, message: "Impossible: sélection invalide ou instrument non chargé." };
-        if (!snap.machineId) return { ok: false, message: "Aucune machine active." };
-        if (snap.program == null)
-        {
-            return { ok: false, message: "Ce patch n'a pas de Program Change (program=undefined). Impossible de l'ajouter au draft." };
-        }
+        if (!view || !Array.isArray(view.list)) return { ok: false, message: "Vue patches invalide." };
 
+        const entry = view.list[selectedIndex | 0];
+        if (!entry) return { ok: false, message: "Sélection invalide." };
 
-        
+        const patch = (view.mode === "global") ? entry.patch : entry;
+        const machine = this.machines.getActive();
+        const notes = noteNamesForPatch(this.state.fullModel || m, patch, machine ? this.getActiveChannel() : null);
 
-        const idx = this.draft.routes.findIndex(r => r.machineId === snap.machineId);
-        if (idx >= 0)
-        {
-            this.draft.routes[idx] = snap;
-        }
-        else
+        if (!notes.length)
         {
-            this.draft.routes.push(snap);
+            return { ok: false, message: `Pas de drum map pour "${patch?.name || "?"}".` };
         }
 
-        return { ok: true, message: `Draft: route mise à jour pour machine ${snap.machineId}.` };
+        return { ok: true, patch, listName: patch.noteNameList || null, notes };
     }
-    // ---------- Commit / Recall ----------
 
-    pasteDraftIntoEntry(entryId, options = {})
+    /**
+     * Joue une note sur la machine active (Note On puis Note Off après durationMs).
+     */
+    async auditionNote(note, { velocity = 100, durationMs = 400 } = {})
     {
-        const s = this.getActiveSetlist();
+        const machine = this.machines.getActive();
+        if (!machine) return { ok: false, message: "Aucune machine active." };
+
+        const out = this.resolveMachineOut(machine);
+        if (!out) return { ok: false, message: "Aucune sortie MIDI assignée (Machines/Ports)." };
+
+        const n = Math.max(0, Math.min(127, note | 0));
+        const vel = Math.max(1, Math.min(127, velocity | 0));
+        const ch = Math.max(0, Math.min(15, this.getActiveChannel() - 1));
+        const machineRun = Object.assign({}, machine, { out });
+
+        try
+        {
+            await midiDriver.sendSequence(machineRun, [
+                { bytes: [0x90 | ch, n, vel], delayMs: 0 },
+                { bytes: [0x80 | ch, n, 0], delayMs: Math.max(0, durationMs | 0) }
+            ], { gapMs: this.resolveMachineSendGap(machine) });
+            return { ok: true, message: `Note ${n} -> ${machine.name} CH${ch + 1}` };
+        }
+        catch (e)
+        {
+            return { ok: false, message: `Send error: ${e.message}` };
+        }
+    }
+
+    // ---------- Machine health (online / offline) ----------
+
+    /**
+     * Démarre le suivi périodique des machines (options: intervalMs, identityPing, pingTimeoutMs, missLimit).
+     * Chaque changement est publié en "machineStatus" { machineId, name, status, previous, reason }.
+     */
+    startHealthMonitor(options = {})
+    {
+        this.health.configure(options);
+        this.health.start();
+    }
+
+    stopHealthMonitor()
+    {
+        this.health.stop();
+    }
+
+    /**
+     * @returns {{ status: "online"|"offline"|"unknown", reason: string|null, checkedAt: number|null }}
+     */
+    getMachineStatus(machineId)
+    {
+        return this.health.get(machineId);
+    }
+
+    isMachineOffline(machineId)
+    {
+        return this.health.get(machineId).status === "offline";
+    }
+
+    // Machines hors ligne parmi les routes d'une entrée
+    getOfflineMachinesForEntry(entry)
+    {
+        const out = [];
+        for (const r of entry?.routes || [])
+        {
+            const m = this.machines.getById(r.machineId);
+            if (m && this.isMachineOffline(m.id) && !out.includes(m)) out.push(m);
+        }
+        return out;
+    }
+
+    // Code de statut de la remote pour l'entrée courante: OF si une de ses machines est hors ligne
+    _remoteStatusCode()
+    {
+        const s = this.getActiveSetlist();
+        const e = (s && this.currentEntryId) ? s.entries.find(x => x && x.id === this.currentEntryId) : null;
+        return (e && this.getOfflineMachinesForEntry(e).length) ? "OF" : this.remoteEntryStatus;
+    }
+
+    _onMachineStatus(e)
+    {
+        // Machine rallumée: son état ne correspond plus à ce qui a été envoyé
+        if (e.status === "offline") this.resetRecallState(e.machineId);
+
+        const m = this.machines.getById(e.machineId);
+        this.emit("machineStatus", Object.assign({ name: m ? m.name : e.machineId }, e));
+
+        if (this.currentMenu !== "main") return;
+
+        // La remote affiche le statut de l'entrée courante: mis à jour si elle utilise cette machine
+        const s = this.getActiveSetlist();
+        const cur = (s && this.currentEntryId) ? s.entries.find(x => x && x.id === this.currentEntryId) : null;
+        if (!cur || !(cur.routes || []).some(r => r.machineId === e.machineId)) return;
+
+        this.emit("remoteDisplayXY", {
+            text: `[${this._remoteStatusCode()}]`,
+            xpos: 14,
+            ypos: 1
+        });
+    }
+
+    // ---------- Rig scan (Universal Device Inquiry) ----------
+
+    /**
+     * Envoie une Identity Request (F0 7E 7F 06 01 F7) sur chaque port mappé (slots, sorties legacy des machines)
+     * et compare les réponses reçues sur les entrées MIDI aux InquiryResponse des fichiers .middev.
+     * Les ports sont interrogés un par un: une réponse appartient au port interrogé pendant sa fenêtre d'écoute.
+     * @returns {Promise<{ ok: boolean, message: string, proposals: Array<object> }>} une proposition par réponse:
+     *   { slot, port, input, reply, ids, candidates: [ { name, manufacturer, model, midnamFile, midnamModel, existingId } ] }
+     */
+    async scanRig({ timeoutMs = 600 } = {})
+    {
+        const targets = [];
+        const seen = new Set();
+        const addTarget = (slot, port) =>
+        {
+            const key = midiDriver.normalizePortLabel(port).toLowerCase();
+            if (seen.has(key)) return;
+            seen.add(key);
+            targets.push({ slot, port });
+        };
+
+        for (const s of this.midiports.listSlots()) if (s.port) addTarget(s.slot, s.port);
+        for (const m of this.machines.list()) if (m.out && m.outSlot == null) addTarget(null, m.out);
+
+        if (!targets.length) return { ok: false, message: "No mapped MIDI port to scan (Ports page).", proposals: [] };
+
+        let inputs = [];
+        try { inputs = midiDriver.listInputs(); }
+        catch (e) { return { ok: false, message: `MIDI inputs: ${e.message}`, proposals: [] }; }
+
+        // Écoute sur toutes les entrées; celles ouvertes pour le scan sont refermées à la fin (le remote MIDI garde la sienne)
+        const open = new Set(midiDriver.listOpenInputs().map(n => midiDriver.normalizePortLabel(n).toLowerCase()));
+        const opened = [];
+        for (const name of inputs)
+        {
+            if (open.has(midiDriver.normalizePortLabel(name).toLowerCase())) continue;
+            try { midiDriver.openInput(name); opened.push(name); } catch { }
+        }
+
+        let replies = null;
+        const onSysEx = (msg) =>
+        {
+            const reply = parseIdentityReply(msg.bytes);
+            if (!reply || !replies) return;
+            if (replies.some(r => r.input === msg.port && sameBytes(r.bytes, msg.bytes))) return;
+            replies.push({ input: msg.port, bytes: msg.bytes, reply });
+        };
+        midiDriver.inputEvents.on("sysex", onSysEx);
+
+        const types = this.midnamIndex.deviceTypes().filter(d => d.inquiry);
+        const proposals = [];
+        const errors = [];
+
+        // Pas de ping de santé pendant le scan: leurs réponses seraient attribuées au port interrogé
+        this.health.pause();
+        await this.health.whenIdle();
+
+        try
+        {
+            for (const t of targets)
+            {
+                replies = [];
+                try
+                {
+                    await midiDriver.sendSequence({ name: t.port, out: t.port }, [{ bytes: buildIdentityRequest(), delayMs: 0 }]);
+                }
+                catch (e)
+                {
+                    errors.push(`${t.port}: ${e.message.split("\n")[0]}`);
+                    continue;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, Math.max(50, timeoutMs | 0)));
+                for (const r of replies) proposals.push(this._proposeScannedMachine(t, r, types));
+            }
+        }
+        finally
+        {
+            this.health.resume();
+            replies = null;
+            midiDriver.inputEvents.removeListener("sysex", onSysEx);
+            for (const name of opened) midiDriver.closeInput(name);
+        }
+
+        const message = `Scan: ${targets.length} port(s), ${inputs.length} input(s), ${proposals.length} device(s) found`
+            + (errors.length ? `\n${errors.join("\n")}` : "");
+        return { ok: true, message, proposals };
+    }
+
+    // Identity Reply -> machine proposée: tous les types .middev qui répondent ainsi (ceux qui ont un .midnam d'abord)
+    _proposeScannedMachine(target, { input, reply }, types)
+    {
+        const ids = `${formatSysExHex(reply.manufacturer)} / ${formatSysExHex(reply.family)} / ${formatSysExHex(reply.member)}`;
+
+        const candidates = types
+            .filter(d => sameBytes(d.inquiry.manufacturer, reply.manufacturer)
+                && sameBytes(d.inquiry.family, reply.family)
+                && sameBytes(d.inquiry.member, reply.member))
+            .map(d =>
+            {
+                const device = this.midnamIndex.findDevice(d.manufacturer, d.model);
+                const midnamFile = device ? device.file : null;
+                const midnamModel = (midnamFile && this.listMidnamModels(midnamFile).length > 1) ? device.model : null;
+                const existing = this.machines.list().find(m =>
+                    (target.slot != null ? m.outSlot === target.slot : m.out === target.port)
+                    && (!midnamFile || m.midnamFile === midnamFile));
+
+                return {
+                    name: midnamFile ? this.peekMidnamDeviceName(midnamFile, midnamModel) : [d.manufacturer, d.model].filter(Boolean).join(" "),
+                    manufacturer: d.manufacturer,
+                    model: d.model,
+                    midnamFile,
+                    midnamModel,
+                    existingId: existing ? existing.id : null
+                };
+            });
+
+        candidates.sort((x, y) => (y.midnamFile ? 1 : 0) - (x.midnamFile ? 1 : 0));
+        if (!candidates.length)
+        {
+            candidates.push({ name: `Unknown (${ids})`, manufacturer: "", model: "", midnamFile: null, midnamModel: null, existingId: null });
+        }
+
+        return { slot: target.slot, port: target.port, input, reply, ids, candidates };
+    }
+
+    /**
+     * Crée la machine proposée par scanRig (candidat choisi, nom rendu unique, canal 1).
+     */
+    addScannedMachine(proposal, candidateIndex = 0)
+    {
+        const c = proposal?.candidates?.[candidateIndex];
+        if (!c) return { ok: false, message: "No device selected." };
+
+        const names = new Set(this.machines.list().map(m => m.name));
+        let name = c.name;
+        for (let i = 2; names.has(name); i++) name = `${c.name} ${i}`;
+
+        const m = this.machines.add({
+            name,
+            midnamFile: c.midnamFile,
+            midnamModel: c.midnamModel,
+            outSlot: proposal.slot,
+            out: proposal.slot == null ? proposal.port : null,
+            channel: 1
+        });
+
+        const where = proposal.slot != null ? `slot ${proposal.slot}` : proposal.port;
+        return { ok: true, machine: m, message: `Machine added: ${m.name} (${where}, MIDNAM=${m.midnamFile || "-"})` };
+    }
+
+    // ---------- Library search (toutes machines / toute la bibliothèque) ----------
+
+    /**
+     * Recherche de patches hors de l'instrument chargé.
+     * scope "machines": fichiers des machines configurées (banques valides pour leur canal);
+     * scope "library": tous les fichiers de data/names (résultats rattachés à la machine qui
+     * utilise ce fichier, sinon à la machine active au moment de l'envoi).
+     * @returns {{ results: Array<{ machineId, machineName, midnamFile, deviceName, bank, patch }>, truncated: boolean }}
+     */
+    searchLibrary(query, { scope = "machines", limit = 500 } = {})
+    {
+        const q = String(query || "").trim().toLowerCase();
+        if (!q) return { results: [], truncated: false };
+
+        const machines = this.machines.list();
+        const sources = [];
+
+        if (scope === "library")
+        {
+            for (const file of this.listMidnamFiles())
+            {
+                const m = machines.find(x => x.midnamFile === file) || null;
+                sources.push({ machine: m, file, channel: null });
+            }
+        }
+        else
+        {
+            for (const m of machines)
+            {
+                if (m.midnamFile) sources.push({ machine: m, file: m.midnamFile, channel: m.channel });
+            }
+        }
+
+        const results = [];
+        let truncated = false;
+
+        for (const src of sources)
+        {
+            let full;
+            try { full = this.overlays.apply(src.machine?.id, this.midnamIndex.getModel(src.file, { model: src.machine?.midnamModel })); }
+            catch { continue; }
+
+            const banks = src.channel == null ? full.banks : banksForChannel(full, src.channel);
+
+            for (const bank of banks)
+            {
+                for (const patch of bank.patches)
+                {
+                    const hay = `${patch.name} ${patch.program}`.toLowerCase();
+                    const match = this.fuzzySearchEnabled ? fuzzyMatch(q, hay) : hay.includes(q);
+                    if (!match) continue;
+
+                    if (results.length >= limit)
+                    {
+                        truncated = true;
+                        break;
+                    }
+
+                    results.push({
+                        machineId: src.machine ? src.machine.id : null,
+                        machineName: src.machine ? src.machine.name : null,
+                        midnamFile: src.file,
+                        deviceName: full.deviceName,
+                        bank: { name: bank.name, msb: bank.msb, lsb: bank.lsb, sendable: bank.sendable !== false },
+                        patch
+                    });
+                }
+                if (truncated) break;
+            }
+            if (truncated) break;
+        }
+
+        return { results, truncated };
+    }
+
+    _searchResultMachine(result)
+    {
+        return (result?.machineId && this.machines.getById(result.machineId)) || this.machines.getActive() || null;
+    }
+
+    // Partie active si la machine est la machine active (la partie est choisie au browse)
+    _activePartOf(machine)
+    {
+        const active = this.machines.getActive();
+        return (machine && active && machine.id === active.id) ? this.getActivePart() : null;
+    }
+
+    sendSearchResult(result)
+    {
+        const machine = this._searchResultMachine(result);
+        if (!machine) return { ok: false, message: "Aucune machine active." };
+        if (!result?.patch || result.patch.program == null) return { ok: false, message: "Patch invalide (program manquant)." };
+
+        const out = this.resolveMachineOut(machine);
+        if (!out) return { ok: false, message: `Aucune sortie MIDI assignée pour ${machine.name} (Machines/Ports).` };
+
+        try
+        {
+            const part = this._activePartOf(machine);
+            const machineRun = Object.assign({}, machine, { out }, part ? { channel: part.channel } : {});
+            const msg = midiDriver.sendPatch(machineRun, result.bank, result.patch, { gapMs: this.resolveMachineSendGap(machine) });
+            this.resetRecallState(machine.id, machineRun.channel);
+            this.logSend("SEARCH_SEND", machineRun, result.bank, result.patch);
+            return { ok: true, message: `Device: ${result.deviceName}\n${msg}` };
+        }
+        catch (e)
+        {
+            return { ok: false, message: `Send error:\n${e.message}` };
+        }
+    }
+
+    draftUpsertFromSearchResult(result)
+    {
+        const machine = this._searchResultMachine(result);
+        if (!machine) return { ok: false, message: "Aucune machine active." };
+        if (!result?.patch || result.patch.program == null) return { ok: false, message: "Patch invalide (program manquant)." };
+        if (isUnsendable(result.bank, result.patch)) return { ok: false, message: UNSENDABLE_BANK_MESSAGE };
+
+        const part = this._activePartOf(machine);
+
+        return this._draftUpsertRoute({
+            machineId: machine.id,
+            part: part ? part.name : null,
+            midnamFile: result.midnamFile,
+            deviceName: result.deviceName,
+            bankName: result.bank?.name || null,
+            msb: result.bank?.msb ?? null,
+            lsb: result.bank?.lsb ?? null,
+            program: result.patch.program,
+            patchName: result.patch.name || null,
+            commands: Array.isArray(result.patch.commands) ? result.patch.commands : null
+        });
+    }
+
+    // ---------- Draft (cue building) ----------
+
+    draftClear()
+    {
+        this.draft.name = "";
+        this.draft.routes = [];
+    }
+
+    draftGetSummary()
+    {
+        const n = this.draft.routes.length;
+        if (!n) return "Draft: <vide>";
+        const names = this.draft.routes
+            .map(r => this._routeLabel(r))
+            .slice(0, 4)
+            .join(", ");
+        return `Draft: ${n} route(s) [${names}${n > 4 ? ", ..." : ""}]`;
+    }
+
+    snapshotSelectionForSetlist(view, selectedIndex)
+    {
+        const m = this.state.model;
+        if (!m) return null;
+
+        if (!view || !Array.isArray(view.list)) return null;
+
+        const idx = selectedIndex | 0;
+        const entry = view.list[idx];
+        if (!entry) return null;
+
+        let bank, patch;
+
+
+        if (view.mode === "global")
+        {
+            bank = entry.bank;
+            patch = entry.patch;
+        }
+        else
+        {
+            bank = this.getCurrentBank();
+            patch = entry;
+        }
+
+        const machine = this.machines.getActive() || { id: "default" };
+        const part = this.getActivePart();
+
+        if (patch?.program == null) return null;
+
+        return {
+            machineId: machine.id || "default",
+            part: part ? part.name : null,
+            midnamFile: this.state.currentMidnamFile,
+            deviceName: m.deviceName,
+            bankName: bank?.name || null,
+            msb: bank?.msb ?? null,
+            lsb: bank?.lsb ?? null,
+            program: patch?.program ?? null,
+            patchName: patch?.name || null,
+            commands: Array.isArray(patch?.commands) ? patch.commands : null
+        };
+    }
+
+    draftUpsertFromCurrentSelection(view, selectedIndex)
+    {
+        const snap = this.snapshotSelectionForSetlist(view, selectedIndex);
+
+        if (!snap) return { ok: false, message: "Impossible: sélection invalide ou instrument non chargé." };
+        if (!snap.machineId) return { ok: false, message: "Aucune machine active." };
+        if (snap.program == null)
+        {
+            return { ok: false, message: "Ce patch n'a pas de Program Change (program=undefined). Impossible de l'ajouter au draft." };
+        }
+
+        const selected = view.list[selectedIndex | 0];
+        const bank = view.mode === "global" ? selected.bank : this.getCurrentBank();
+        if (isUnsendable(bank, view.mode === "global" ? selected.patch : selected)) return { ok: false, message: UNSENDABLE_BANK_MESSAGE };
+
+
+        
+
+        return this._draftUpsertRoute(snap);
+    }
+
+    _draftUpsertRoute(snap)
+    {
+        const idx = this.draft.routes.findIndex(r => sameRoute(r, snap));
+        if (idx >= 0)
+        {
+            this.draft.routes[idx] = snap;
+        }
+        else
+        {
+            this.draft.routes.push(snap);
+        }
+
+        return { ok: true, message: `Draft: route mise à jour pour machine ${this._routeLabel(snap)}.` };
+    }
+
+    // "MOTIF ES / Part 2" (nom de la machine, partie éventuelle)
+    _routeLabel(r)
+    {
+        const m = r && r.machineId ? this.machines.getById(r.machineId) : null;
+        const name = (m && m.name) ? m.name : ((r && r.machineId) || "?");
+        return (r && r.part) ? `${name} / ${r.part}` : name;
+    }
+    // ---------- Commit / Recall ----------
+
+    pasteDraftIntoEntry(entryId, options = {})
+    {
+        const s = this.getActiveSetlist();
         if (!s) return { ok: false, message: "No active setlist." };
 
         const e = this.setlists.getEntry(s.id, entryId);
@@ -1128,31 +2021,14 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
         }
         */
 
-        const existingByMachineAndChannel = new Map();
-        for (const r of existing) {
-            if (r && r.machineId) {
-                // On crée une clé unique "ID_CANAL"
-                const key = `${r.machineId}_${r.channel || 1}`;
-                existingByMachineAndChannel.set(key, r);
-            }
-        }
-    
-        const conflicts = [];
-        for (const r of draftRoutes) {
-            if (!r || !r.machineId) continue;
-            const key = `${r.machineId}_${r.channel || 1}`;
-            if (existingByMachineAndChannel.has(key)) conflicts.push(key);
-        }
+        // Conflit = même machine et même partie déjà présentes dans l'entrée
+        const conflictRoutes = draftRoutes.filter(r => r && r.machineId && existing.some(x => sameRoute(x, r)));
 
         const force = !!(options && (options.force === true));
-        if (conflicts.length && !force)
+        if (conflictRoutes.length && !force)
         {
-            const unique = [...new Set(conflicts)];
-            const names = unique.map(id =>
-            {
-                const m = (this.machines && typeof this.machines.getById === "function") ? this.machines.getById(id) : null;
-                return (m && m.name) ? m.name : id;
-            });
+            const unique = conflictRoutes.map(r => r.part ? `${r.machineId}_${r.part}` : r.machineId);
+            const names = conflictRoutes.map(r => this._routeLabel(r));
 
             return {
                 ok: false,
@@ -1163,8 +2039,8 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
         }
 
         // Merge behavior:
-        // - If machineId does not exist => add new route.
-        // - If machineId exists => overwrite (when force=true).
+        // - If machineId + part does not exist => add new route.
+        // - If machineId + part exists => overwrite (when force=true).
         let added = 0;
         let overwritten = 0;
 
@@ -1173,8 +2049,7 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
             if (!r || !r.machineId) continue;
 
             const copy = Object.assign({}, r);
-            // const had = existingByMachine.has(copy.machineId);
-            const had = existingByMachineAndChannel.has(copy.machineId);
+            const had = existing.some(x => sameRoute(x, copy));
 
             const ok = this.setlists.upsertRoute(s.id, entryId, copy);
             if (ok)
@@ -1218,99 +2093,425 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
         return this.setlists.renameEntry(s.id, entryId, name);
     }
 
-    deleteEntry(entryId)
+    /**
+     * Notes libres d'une entrée de la setlist active (texte multi-ligne, "" pour effacer).
+     */
+    setEntryNotes(entryId, text)
     {
         const s = this.getActiveSetlist();
         if (!s) return false;
-        return this.setlists.removeEntry(s.id, entryId);
+        return this.setlists.setEntryNotes(s.id, entryId, text);
     }
 
-    recallEntry(entryId)
+    /**
+     * Tempo d'une entrée de la setlist active: { bpm, clock: "start"|"continue"|"stop", songPosition }.
+     */
+    setEntryTempo(entryId, tempo)
     {
         const s = this.getActiveSetlist();
-        if (!s) return { ok: false, message: "Aucune setlist active." };
+        if (!s) return false;
+        return this.setlists.setEntryTempo(s.id, entryId, tempo);
+    }
 
-        const e = this.setlists.getEntry(s.id, entryId);
-        if (!e) return { ok: false, message: "Entrée introuvable." };
+    deleteEntry(entryId)
+    {
+        const s = this.getActiveSetlist();
+        if (!s) return false;
+        return this.setlists.removeEntry(s.id, entryId);
+    }
 
-        const lines = [];
-        const errors = [];
+    /**
+     * MIDI panic: All Sound Off (CC120), All Notes Off (CC123) and Reset All Controllers (CC121)
+     * on the 16 channels of every output used by a machine (once per physical port).
+     * @param {{noteOffs?: boolean}} [options] - noteOffs: also send a Note Off for every note
+     * @returns {Promise<{ok: boolean, message: string}>}
+     */
+    async panic({ noteOffs = false } = {})
+    {
+        if (this.clock.running) this.clock.stop();
+
+        const ports = new Map(); // port normalisé -> machineRun (gap le plus grand)
 
-        e.routes.forEach((r) =>
+        for (const machine of this.machines.list())
         {
-            const machine = this.machines.getById(r.machineId) || this.machines.getActive();
+            const out = this.resolveMachineOut(machine);
+            if (!out) continue;
 
-            if (!machine)
+            const key = midiDriver.normalizePortLabel(out).toLowerCase();
+            const gapMs = this.resolveMachineSendGap(machine);
+            const prev = ports.get(key);
+
+            if (!prev || gapMs > prev.gapMs)
             {
-                errors.push(`Machine inconnue: ${r.machineId}`);
-                return;
+                ports.set(key, { machineRun: Object.assign({}, machine, { out }), gapMs });
             }
+        }
 
-            // On fabrique un "bank" et "patch" minimal compatibles driver
-            const bank = {
-                name: r.bankName || "Bank",
-                msb: (r.msb == null ? null : r.msb),
-                lsb: (r.lsb == null ? null : r.lsb)
-            };
-
-            const patch = {
-                name: r.patchName || "Patch",
-                program: r.program
-            };
+        const seq = [];
+        for (let ch = 0; ch < 16; ch++)
+        {
+            seq.push({ bytes: [0xB0 | ch, 120, 0], delayMs: 0 });
+            seq.push({ bytes: [0xB0 | ch, 123, 0], delayMs: 0 });
+            seq.push({ bytes: [0xB0 | ch, 121, 0], delayMs: 0 });
 
-            if (patch.program == null)
+            if (noteOffs)
             {
-                errors.push(`Program manquant pour machine ${machine.name || machine.id}`);
-                return;
+                for (let note = 0; note < 128; note++) seq.push({ bytes: [0x80 | ch, note, 0], delayMs: 0 });
             }
+        }
+
+        const errors = [];
 
+        await Promise.all([...ports.values()].map(({ machineRun, gapMs }) =>
+        {
             try
             {
-                 const out = this.resolveMachineOut(machine);
-                if (!out)
-                {
-                    lines.push(`WARN: pas de sortie MIDI pour ${machine.name || machine.id}`);
-                    return;
-                }
-
-                const machineRun = Object.assign({}, machine, { out });
-                midiDriver.sendPatch(machineRun, bank, patch);
-                this._sendRouteCCSlots(machineRun, r.ccSlots);
-                this.logSend("SETLIST_RECALL", machineRun, bank, patch);
-                lines.push(`${machine.name || machine.id} -> ${bank.name} ${patch.program} ${patch.name}`);
-
-                /*
-                const items = entries.map((e, i) => {
-                    return `${i}/${e.count} ${e.name}` 
-                });
-                */
+                return midiDriver.sendSequence(machineRun, seq, { gapMs })
+                    .catch(ex => { errors.push(`${machineRun.out}: ${ex.message}`); });
             }
             catch (ex)
             {
-                errors.push(`${machine.name || machine.id}: ${ex.message}`);
+                errors.push(`${machineRun.out}: ${ex.message}`);
+                return null;
             }
-        });
+        }));
+
+        const ok = !errors.length;
+        const message = ok
+            ? `PANIC sent on ${ports.size} port(s)${noteOffs ? " (+ note offs)" : ""}.`
+            : `PANIC partial: ${errors.join(" / ")}`;
+
+        // Reset All Controllers: les CC envoyés par les routes ne sont plus en place
+        this.resetRecallState();
+
+        console.log("[MODEL] " + message);
+        this.emit("panic", { ok, ports: ports.size, noteOffs: !!noteOffs, message });
+        return { ok, message };
+    }
+
+    /**
+     * Recall an entry: every route is queued on its machine's output (SysEx, bank/PC, messages).
+     * Resolves once everything has actually been sent; emits "routeSent" per route.
+     * With smartRecall, routes identical to what was last sent on their machine/channel are skipped
+     * (options.full: resend everything anyway).
+     * @param {{ full?: boolean }} [options]
+     */
+    async recallEntry(entryId, options = {})
+    {
+        const s = this.getActiveSetlist();
+        if (!s) return { ok: false, message: "Aucune setlist active." };
+
+        const e = this.setlists.getEntry(s.id, entryId);
+        if (!e) return { ok: false, message: "Entrée introuvable." };
+
+        this._stopNotesTicker(false);
+
+        const full = !this.smartRecall || !!options.full;
+        const results = await Promise.all(e.routes.map((r) => this._recallRoute(e, r, { full })));
+
+        const lines = results.filter(x => x.line).map(x => x.line);
+        const errors = results.filter(x => x.error).map(x => x.error);
+
+        // Horloge après les patches: les arpèges et delays repartent sur le son de l'entrée
+        const clockLine = this._applyEntryTempo(e);
+        if (clockLine) lines.push(clockLine);
 
         if (errors.length)
         {
+            this.remoteEntryStatus = "KO";
             this.emit("recalledEntry", {
                 setlist: `{${s.name}}`,
                 entry: e.name,
                 status: "KO"
             });
             this.currentMenu = "main";
+            this._startNotesTicker(e);
             return { ok: false, message: `Recall partiel. ${lines.join(" ")} Erreurs: ${errors.join("/")}` };
         }
 
+        this.remoteEntryStatus = "OK";
         this.emit("recalledEntry", {           
             setlist: `{${s.name}}`,
             entry: e.name,
-            status: "OK"
+            status: this._remoteStatusCode()
         });
         this.currentMenu = "main";
+        this._startNotesTicker(e);
         return { ok: true, message: `Recall OK: ${e.name} // ${lines.join("/")}` };
     }
 
+    // Premières lignes non vides des notes d'une entrée
+    _noteLines(entry, max = NOTES_TICKER_LINES)
+    {
+        return String((entry && entry.notes) || "")
+            .split("\n")
+            .map(l => l.trim())
+            .filter(Boolean)
+            .slice(0, max);
+    }
+
+    /**
+     * Après un rappel, fait défiler les premières lignes des notes sur la ligne 2 de la remote
+     * (NOTES_TICKER_PASSES passages), puis réaffiche le nom de l'entrée.
+     * Interrompu par une touche de la remote, un autre rappel, un changement de setlist ou un menu.
+     */
+    _startNotesTicker(entry)
+    {
+        this._stopNotesTicker(false);
+
+        const lines = this._noteLines(entry);
+        if (!lines.length) return;
+
+        const text = lines.join(" | ");
+        const frames = [];
+        if (text.length <= REMOTE_WIDTH) frames.push(text);
+        else
+        {
+            // Le texte entre par la gauche et sort complètement avant le passage suivant
+            const track = text + " ".repeat(REMOTE_WIDTH);
+            for (let i = 0; i < text.length + 1; i++) frames.push(track.slice(i, i + REMOTE_WIDTH));
+        }
+
+        const ticker = { timer: null, entryName: entry.name };
+        this._notesTicker = ticker;
+
+        let step = 0;
+        const total = frames.length * NOTES_TICKER_PASSES;
+        const tick = () =>
+        {
+            if (this._notesTicker !== ticker) return;
+            if (this.currentMenu !== "main")
+            {
+                this._notesTicker = null;
+                return;
+            }
+            if (step >= total)
+            {
+                this._stopNotesTicker();
+                return;
+            }
+
+            const frame = frames[step % frames.length];
+            // Texte court: affiché tel quel, le temps de tous les pas d'un défilement
+            const delay = (frames.length === 1) ? NOTES_TICKER_STEP_MS * REMOTE_WIDTH : NOTES_TICKER_STEP_MS;
+            step++;
+
+            this.emit("remoteDisplayLine", { text: frame, ypos: 2 });
+            ticker.timer = setTimeout(tick, delay);
+        };
+
+        ticker.timer = setTimeout(tick, NOTES_TICKER_DELAY_MS);
+    }
+
+    // restore: réaffiche le nom de l'entrée sur la ligne 2 (si la remote est restée sur l'écran principal)
+    _stopNotesTicker(restore = true)
+    {
+        const ticker = this._notesTicker;
+        if (!ticker) return;
+
+        this._notesTicker = null;
+        if (ticker.timer) clearTimeout(ticker.timer);
+
+        if (restore && this.currentMenu === "main")
+        {
+            this.emit("remoteDisplayLine", { text: ticker.entryName, ypos: 2 });
+        }
+    }
+
+    // ---------- MIDI clock ----------
+
+    // Sorties (une fois par port physique) des machines qui reçoivent l'horloge
+    _clockPorts()
+    {
+        const ports = new Map();
+        for (const machine of this.machines.list())
+        {
+            if (!machine.clock) continue;
+
+            const out = this.resolveMachineOut(machine);
+            if (out) ports.set(midiDriver.normalizePortLabel(out).toLowerCase(), out);
+        }
+        return [...ports.values()];
+    }
+
+    /**
+     * Tempo et horloge d'une entrée au rappel (voir parseEntryTempoText):
+     * start = Stop puis Start (ou SPP + Continue si songPosition), continue = tempo seul si l'horloge tourne,
+     * stop = Stop. Sans BPM, seul "stop" agit.
+     * @returns {string|null} résumé pour le message de rappel
+     */
+    _applyEntryTempo(e)
+    {
+        if (!e || (e.bpm == null && e.clock !== "stop")) return null;
+
+        this.clock.setPorts(this._clockPorts());
+        if (!this.clock.ports.length) return null;
+
+        if (e.clock === "stop")
+        {
+            if (e.bpm != null) this.clock.setTempo(e.bpm);
+            this.clock.stop();
+            return "clock stop";
+        }
+
+        this.clock.setTempo(e.bpm);
+
+        if (e.clock === "continue")
+        {
+            if (!this.clock.running) this.clock.continue(e.songPosition || null);
+            return `clock ${this.clock.bpm} BPM`;
+        }
+
+        if (this.clock.running) this.clock.stop();
+        if (e.songPosition) this.clock.continue(e.songPosition);
+        else this.clock.start();
+        return `clock ${this.clock.bpm} BPM${e.songPosition ? ` @${e.songPosition}` : ""}`;
+    }
+
+    /**
+     * Commandes manuelles de l'horloge (TUI): tempo courant, sorties des machines "clock".
+     * @returns {{ ok: boolean, message: string }}
+     */
+    clockStart()
+    {
+        this.clock.setPorts(this._clockPorts());
+        if (!this.clock.ports.length) return { ok: false, message: "No machine receives the MIDI clock (machines page, b)." };
+
+        this.clock.start();
+        return { ok: true, message: `Clock started: ${this.clock.bpm} BPM on ${this.clock.ports.length} port(s).` };
+    }
+
+    clockStop()
+    {
+        this.clock.setPorts(this._clockPorts());
+        this.clock.stop();
+        return { ok: true, message: "Clock stopped." };
+    }
+
+    /**
+     * @returns {{ running: boolean, bpm: number, position: number, ports: string[] }}
+     */
+    getClockState()
+    {
+        return this.clock.getState();
+    }
+
+    /**
+     * Oublie l'état envoyé: une machine (un canal ou tous), ou toutes les machines.
+     * Le prochain rappel renvoie alors tout, même en rappel différentiel.
+     */
+    resetRecallState(machineId = null, channel = null)
+    {
+        if (machineId == null)
+        {
+            this._sentRoutes.clear();
+            return;
+        }
+
+        for (const key of [...this._sentRoutes.keys()])
+        {
+            if (channel != null ? key === `${machineId}_${channel}` : key.startsWith(`${machineId}_`)) this._sentRoutes.delete(key);
+        }
+    }
+
+    /**
+     * Dernier envoi connu d'une machine sur un canal.
+     * @returns {{ signature: string, program: number, patchName: string|null, sentAt: number } | null}
+     */
+    getSentState(machineId, channel)
+    {
+        return this._sentRoutes.get(`${machineId}_${channel}`) || null;
+    }
+
+    // Tout ce qui part sur le canal pour cette route (sortie et profil bank select compris)
+    _routeSignature(machineRun, r)
+    {
+        return JSON.stringify([
+            machineRun.out, machineRun.bankSelect,
+            r.msb ?? null, r.lsb ?? null, r.program, r.commands || null,
+            r.sysex || null, r.volume ?? null, r.transpose ?? null, r.messages || null
+        ]);
+    }
+
+    // Envoie une route; ne rejette jamais: { line } ou { error } (+ "routeSent")
+    async _recallRoute(entry, r, { full = true } = {})
+    {
+        const machine = this.machines.getById(r.machineId) || this.machines.getActive();
+
+        if (!machine)
+        {
+            return { error: `Machine inconnue: ${r.machineId}` };
+        }
+
+        // On fabrique un "bank" et "patch" minimal compatibles driver
+        const bank = {
+            name: r.bankName || "Bank",
+            msb: (r.msb == null ? null : r.msb),
+            lsb: (r.lsb == null ? null : r.lsb)
+        };
+
+        const patch = {
+            name: r.patchName || "Patch",
+            program: r.program,
+            commands: r.commands || null
+        };
+
+        if (patch.program == null)
+        {
+            return { error: `Program manquant pour machine ${machine.name || machine.id}` };
+        }
+
+        const out = this.resolveMachineOut(machine);
+        if (!out)
+        {
+            return { line: `WARN: pas de sortie MIDI pour ${machine.name || machine.id}` };
+        }
+
+        // Même machine (sortie, bank select, délai), canal de la route, sinon de la partie visée
+        const routeMachine = this._routeMachine(machine, r);
+        if (!routeMachine)
+        {
+            return { error: `${machine.name || machine.id}: partie inconnue "${r.part}"` };
+        }
+
+        const machineRun = Object.assign({}, routeMachine, { out });
+        const label = r.part ? `${machine.name || machine.id}/${r.part}` : (machine.name || machine.id);
+
+        const sentKey = `${machine.id}_${machineRun.channel || 1}`;
+        const signature = this._routeSignature(machineRun, r);
+        if (!full && this._sentRoutes.get(sentKey)?.signature === signature)
+        {
+            this.emit("routeSent", { entryId: entry.id, machineId: machine.id, part: r.part, ok: true, sent: 0, skipped: true });
+            return { line: `${label} = ${patch.program} ${patch.name} (unchanged)` };
+        }
+
+        try
+        {
+            // SysEx d'abord: changement de mode (multi/perf), master tune... avant le PC
+            const seq = [
+                ...this._routeSysExSequence(machineRun, r.sysex),
+                ...midiDriver.buildPatchMessages(machineRun, bank, patch),
+                ...this._routeOverridesSequence(machineRun, r),
+                ...this._routeMessagesSequence(machineRun, r.messages)
+            ];
+
+            this.logSend("SETLIST_RECALL", machineRun, bank, patch);
+
+            const res = await midiDriver.sendSequence(machineRun, seq, { gapMs: this.resolveMachineSendGap(machine) });
+            this._sentRoutes.set(sentKey, { signature, program: patch.program, patchName: r.patchName || null, sentAt: Date.now() });
+            this.emit("routeSent", { entryId: entry.id, machineId: machine.id, part: r.part, ok: true, sent: res.sent });
+
+            return { line: `${label} -> ${bank.name} ${patch.program} ${patch.name}` };
+        }
+        catch (ex)
+        {
+            // Envoi incomplet: état inconnu, le prochain rappel renverra tout
+            this._sentRoutes.delete(sentKey);
+            this.emit("routeSent", { entryId: entry.id, machineId: machine.id, part: r.part, ok: false, error: ex.message });
+            return { error: `${label}: ${ex.message}` };
+        }
+    }
+
     getMachinesInstrumentsView()
     {
         const list = this.machines.list();
@@ -1325,7 +2526,7 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
             {
                 try
                 {
-                    dev = this.peekMidnamDeviceName(m.midnamFile);
+                    dev = this.peekMidnamDeviceName(m.midnamFile, m.midnamModel);
                 }
                 catch
                 {
@@ -1355,6 +2556,7 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
         if (!m.midnamFile)
         {
             this.state.currentMidnamFile = null;
+            this.state.fullModel = null;
             this.state.model = null;
             this.state.bankIndex = 0;
             this.state.patchFilter = "";
@@ -1364,8 +2566,9 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
 
         try
         {
-            const model = this.loadMidnam(m.midnamFile);
-            return { ok: true, message: `Machine active: ${m.name}\nDevice: ${model.deviceName}` };
+            const model = this.loadMidnam(m.midnamFile, m.channel, m.id);
+            const set = model.channelNameSet ? ` (CH${m.channel}: ${model.channelNameSet})` : "";
+            return { ok: true, message: `Machine active: ${m.name}\nDevice: ${model.deviceName}${set}` };
         }
         catch (e)
         {
@@ -1471,9 +2674,12 @@ const msg = midiDriver.sendPatch(machineRun, bank, patch);
 
         const pc = (patch?.program == null) ? "?" : patch.program;
         const pname = patch?.name || "Patch";
+        const cmds = (Array.isArray(patch?.commands) && patch.commands.length)
+            ? ` | cmds=${patch.commands.map(formatMessage).join(", ")}`
+            : "";
 
         console.log(
-        `[MIDISTAGE] ${this._nowStamp()} | ${action} | ${mname} | out=${out} ch=${ch} | ${bname} msb=${msb} lsb=${lsb} | pc=${pc} | ${pname}`
+        `[MIDISTAGE] ${this._nowStamp()} | ${action} | ${mname} | out=${out} ch=${ch} | ${bname} msb=${msb} lsb=${lsb} | pc=${pc} | ${pname}${cmds}`
         );
     }
 
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const { patchBankSelect } = require("../midnam/parseMidnam");
+
+function safeReadJson(filePath, fallback)
+{
+    try
+    {
+        if (!fs.existsSync(filePath)) return fallback;
+        const txt = fs.readFileSync(filePath, "utf8");
+        return JSON.parse(txt);
+    }
+    catch
+    {
+        return fallback;
+    }
+}
+
+function safeWriteJson(filePath, obj)
+{
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(obj, null, 2), "utf8");
+}
+
+function byteOrNull(v)
+{
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 127 ? n : null;
+}
+
+function normalizeOverlayPatch(p)
+{
+    if (!p || typeof p !== "object") return null;
+
+    const program = byteOrNull(p.program);
+    const name = String(p.name == null ? "" : p.name).trim();
+    if (program == null || !name) return null;
+
+    return {
+        bank: p.bank == null ? null : String(p.bank),
+        msb: byteOrNull(p.msb),
+        lsb: byteOrNull(p.lsb),
+        program,
+        name
+    };
+}
+
+function sameBank(o, bank)
+{
+    return o.msb === (bank.msb ?? null)
+        && o.lsb === (bank.lsb ?? null)
+        && (o.bank == null || o.bank === bank.name);
+}
+
+// Même program et même bank select effectif: une banque peut tenir plusieurs patches au même program,
+// distingués par le bank select de leurs PatchMIDICommands
+function samePatch(o, bank, patch)
+{
+    const { msb, lsb } = patchBankSelect(patch, bank);
+    return o.program === patch.program
+        && o.msb === msb
+        && o.lsb === lsb
+        && (o.bank == null || o.bank === bank.name);
+}
+
+/**
+ * Noms de patches utilisateur par machine (banques RAM/user), dans data/overlays/<machineId>.json:
+ * { patches: [ { bank, msb, lsb, program, name } ] }  (msb/lsb: bank select effectif du patch, voir patchBankSelect)
+ * Appliqués par-dessus le modèle parsé; les fichiers .midnam ne sont jamais modifiés.
+ */
+class OverlaysStore
+{
+    constructor(options = {})
+    {
+        this.dirPath = options.dirPath || path.join(process.cwd(), "data", "overlays");
+        this._cache = new Map(); // machineId -> { patches }
+    }
+
+    _filePath(machineId)
+    {
+        const safe = String(machineId).replace(/[^A-Za-z0-9_.-]/g, "_");
+        return path.join(this.dirPath, `${safe}.json`);
+    }
+
+    get(machineId)
+    {
+        if (!machineId) return { patches: [] };
+        if (this._cache.has(machineId)) return this._cache.get(machineId);
+
+        const raw = safeReadJson(this._filePath(machineId), { patches: [] });
+        const data = {
+            patches: (Array.isArray(raw.patches) ? raw.patches : []).map(normalizeOverlayPatch).filter(Boolean)
+        };
+
+        this._cache.set(machineId, data);
+        return data;
+    }
+
+    save(machineId)
+    {
+        const data = this.get(machineId);
+        const file = this._filePath(machineId);
+
+        if (!data.patches.length)
+        {
+            try { fs.unlinkSync(file); } catch { }
+            return;
+        }
+
+        safeWriteJson(file, data);
+    }
+
+    /**
+     * Renomme (ou ajoute) un patch { program, commands? } de la banque; name vide = retire l'overlay
+     * (retour au nom du fichier).
+     */
+    setPatchName(machineId, bank, patch, name)
+    {
+        if (!machineId || !bank) return false;
+
+        const data = this.get(machineId);
+        const prog = byteOrNull(patch?.program);
+        if (prog == null) return false;
+
+        const target = { program: prog, commands: patch.commands };
+        const { msb, lsb } = patchBankSelect(target, bank);
+        const idx = data.patches.findIndex(o => samePatch(o, bank, target));
+        const entry = normalizeOverlayPatch({ bank: bank.name, msb, lsb, program: prog, name });
+
+        if (!entry)
+        {
+            if (idx < 0) return false;
+            data.patches.splice(idx, 1);
+        }
+        else if (idx >= 0) data.patches[idx] = entry;
+        else data.patches.push(entry);
+
+        this.save(machineId);
+        return true;
+    }
+
+    remove(machineId)
+    {
+        this._cache.delete(machineId);
+        try { fs.unlinkSync(this._filePath(machineId)); } catch { }
+    }
+
+    /**
+     * Applique l'overlay d'une machine au modèle parsé (copie, le modèle source n'est pas modifié).
+     * Les patches renommés gardent leur nom d'origine dans originalName; les ajouts ont overlay = "added".
+     * L'ordre des patches du modèle est conservé; un ajout est inséré avant le premier program plus grand.
+     */
+    apply(machineId, model)
+    {
+        const data = this.get(machineId);
+        if (!model || !data.patches.length) return model;
+
+        const banks = (model.banks || []).map(bank =>
+        {
+            const mine = data.patches.filter(o => o.bank == null || o.bank === bank.name);
+            if (!mine.length) return bank;
+
+            const used = new Set();
+            const patches = bank.patches.map(p =>
+            {
+                const o = mine.find(x => samePatch(x, bank, p));
+                if (!o) return p;
+                used.add(o);
+                return Object.assign({}, p, { name: o.name, originalName: p.name, overlay: "renamed" });
+            });
+
+            for (const o of mine)
+            {
+                if (used.has(o) || !sameBank(o, bank)) continue;
+                const at = patches.findIndex(p => !p.commands?.length && p.program > o.program);
+                patches.splice(at < 0 ? patches.length : at, 0, { name: o.name, program: o.program, overlay: "added" });
+            }
+
+            if (!used.size && patches.length === bank.patches.length) return bank;
+            return Object.assign({}, bank, { patches });
+        });
+
+        return Object.assign({}, model, { banks });
+    }
+}
+
+module.exports = { OverlaysStore };
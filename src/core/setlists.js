@@ -3,6 +3,10 @@
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { normalizeSysExList } = require("../midi/sysex");
+const { normalizeMessageList, ccSlotsToMessages } = require("../midi/messages");
+const { MIN_BPM, MAX_BPM } = require("../midi/clock");
+const { patchBankSelect } = require("../midnam/parseMidnam");
 
 const LEGACY_HOTKEY_MAP = Object.freeze({
     A: "G1",
@@ -46,55 +50,132 @@ function safeWriteJson(filePath, obj)
     fs.renameSync(tmp, filePath);
 }
 
-function normalizeCCSlots(src)
+function normalizeRouteMessages(r)
 {
-    if (src == null) return null;
+    if (!r) return null;
+    if (r.messages != null) return normalizeMessageList(r.messages);
 
-    let arr = [];
+    const legacy = r.ccSlots != null ? r.ccSlots : (r.cc != null ? r.cc : r.ccs);
+    return legacy != null ? ccSlotsToMessages(legacy) : null;
+}
+
+// Surcharges d'une route sur les valeurs de la machine (null = valeur de la machine / rien d'envoyé)
+const ROUTE_OVERRIDE_KEYS = Object.freeze(["channel", "volume", "transpose"]);
+
+function optionalInt(v, min, max)
+{
+    if (v == null || v === "") return null;
+    const n = parseInt(String(v), 10);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : null;
+}
 
-    if (Array.isArray(src))
+/**
+ * "ch=3 vol=100 tr=-12" -> { channel, volume, transpose } (clé absente ou "-" = pas de surcharge).
+ * @returns {{ overrides: { channel: number|null, volume: number|null, transpose: number|null }, errors: string[] }}
+ */
+function parseRouteOverridesText(text)
+{
+    const overrides = { channel: null, volume: null, transpose: null };
+    const errors = [];
+    const keys = { ch: ["channel", 1, 16], vol: ["volume", 0, 127], tr: ["transpose", -24, 24] };
+
+    for (const t of String(text || "").split(/[\s,;]+/).filter(Boolean))
     {
-        arr = src.map((it) =>
+        const m = t.match(/^(ch|vol|tr)=(-|[+-]?\d{1,3})$/i);
+        const def = m ? keys[m[1].toLowerCase()] : null;
+        if (!def)
         {
-            if (it == null) return null;
-
-            if (Array.isArray(it) && it.length >= 2)
-            {
-                const cc = Number(it[0]);
-                const value = Number(it[1]);
-                if (!Number.isFinite(cc) || !Number.isFinite(value)) return null;
-                return { cc: Math.max(0, Math.min(127, cc | 0)), value: Math.max(0, Math.min(127, value | 0)) };
-            }
+            errors.push(t);
+            continue;
+        }
 
-            if (typeof it === "object")
-            {
-                const cc = Number(it.cc);
-                const value = Number(it.value);
-                if (!Number.isFinite(cc) || !Number.isFinite(value)) return null;
-                return { cc: Math.max(0, Math.min(127, cc | 0)), value: Math.max(0, Math.min(127, value | 0)) };
-            }
+        if (m[2] === "-") continue;
 
-            return null;
-        }).filter(Boolean);
+        const n = Number(m[2]);
+        if (n < def[1] || n > def[2])
+        {
+            errors.push(t);
+            continue;
+        }
+        overrides[def[0]] = n;
     }
-    else if (typeof src === "object")
+
+    return { overrides, errors };
+}
+
+function formatRouteOverrides(r)
+{
+    const parts = [];
+    if (r && r.channel != null) parts.push(`ch=${r.channel}`);
+    if (r && r.volume != null) parts.push(`vol=${r.volume}`);
+    if (r && r.transpose != null) parts.push(`tr=${r.transpose > 0 ? "+" : ""}${r.transpose}`);
+    return parts.join(" ");
+}
+
+// Tempo d'une entrée: BPM (1 décimale), mode d'horloge au rappel, position de départ en doubles-croches (Song Position Pointer)
+const CLOCK_MODES = Object.freeze(["start", "continue", "stop"]);
+const MAX_SONG_POSITION = 16383;
+
+function optionalBpm(v)
+{
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.round(Math.min(MAX_BPM, Math.max(MIN_BPM, n)) * 10) / 10 : null;
+}
+
+/**
+ * "120" / "96.5 continue" / "bpm=120 pos=16" / "stop" / "-" -> { bpm, clock, songPosition }.
+ * start (défaut): horloge relancée depuis le début (ou depuis pos); continue: garde l'horloge si elle tourne;
+ * stop: arrête l'horloge. pos = position de départ en doubles-croches (SPP).
+ * @returns {{ tempo: { bpm: number|null, clock: string, songPosition: number }, errors: string[] }}
+ */
+function parseEntryTempoText(text)
+{
+    const tempo = { bpm: null, clock: "start", songPosition: 0 };
+    const errors = [];
+
+    for (const t of String(text || "").split(/[\s,;]+/).filter(Boolean))
     {
-        for (const k of Object.keys(src))
+        const lower = t.toLowerCase();
+        if (lower === "-") continue;
+        if (CLOCK_MODES.includes(lower))
         {
-            const cc = Number(k);
-            const value = Number(src[k]);
-            if (!Number.isFinite(cc) || !Number.isFinite(value)) continue;
-            arr.push({ cc: Math.max(0, Math.min(127, cc | 0)), value: Math.max(0, Math.min(127, value | 0)) });
+            tempo.clock = lower;
+            continue;
         }
+
+        const m = lower.match(/^(?:(bpm|pos)=)?(\d+(?:\.\d+)?)$/);
+        const n = m ? Number(m[2]) : NaN;
+
+        if (m && m[1] === "pos" && Number.isInteger(n) && n <= MAX_SONG_POSITION) tempo.songPosition = n;
+        else if (m && m[1] !== "pos" && n >= MIN_BPM && n <= MAX_BPM) tempo.bpm = optionalBpm(n);
+        else errors.push(t);
     }
 
-    return arr.slice(0, 4);
+    return { tempo, errors };
+}
+
+function formatEntryTempo(e)
+{
+    if (!e || (e.bpm == null && e.clock !== "stop")) return "";
+
+    const parts = [];
+    if (e.bpm != null) parts.push(`${e.bpm} BPM`);
+    if (e.clock && e.clock !== "start") parts.push(e.clock);
+    if (e.songPosition) parts.push(`pos=${e.songPosition}`);
+    return parts.join(" ");
 }
 
 function normalizeRoute(r)
 {
     return {
         machineId: r && r.machineId ? String(r.machineId) : null,
+        // Partie visée (machines multitimbrales, voir machine.parts); null = canal de la machine
+        part: r && r.part != null && String(r.part).trim() ? String(r.part).trim() : null,
+        // Surcharges: canal (gagne sur partie et machine), volume (CC7), transposition en demi-tons (RPN 2)
+        channel: optionalInt(r && r.channel, 1, 16),
+        volume: optionalInt(r && r.volume, 0, 127),
+        transpose: optionalInt(r && r.transpose, -24, 24),
         midnamFile: r && r.midnamFile ? String(r.midnamFile) : null,
         deviceName: r && r.deviceName ? String(r.deviceName) : null,
         bankName: r && r.bankName ? String(r.bankName) : null,
@@ -102,21 +183,54 @@ function normalizeRoute(r)
         lsb: (r && r.lsb != null) ? Number(r.lsb) : null,
         program: (r && r.program != null) ? Number(r.program) : null,
         patchName: r && r.patchName ? String(r.patchName) : null,
-        ccSlots: (r && (r.ccSlots != null || r.cc != null || r.ccs != null))
-            ? normalizeCCSlots(r.ccSlots != null ? r.ccSlots : (r.cc != null ? r.cc : r.ccs))
-            : null
+        // PatchMIDICommands du .midnam: remplacent bank/program au rappel quand présentes
+        commands: (r && Array.isArray(r.commands) && r.commands.length) ? normalizeMessageList(r.commands) : null,
+        // Séquence ordonnée envoyée après bank/program (les anciens ccSlots sont convertis en "cc")
+        messages: normalizeRouteMessages(r),
+        // SysEx envoyés (dans l'ordre) avant bank/program, en hex "F0 .. F7"
+        sysex: (r && r.sysex != null) ? normalizeSysExList(r.sysex) : null
     };
 }
 
+// Une route par machine et par partie
+function sameRoute(a, b)
+{
+    return !!a && !!b && a.machineId === b.machineId && (a.part || null) === (b.part || null);
+}
+
+// La route vise-t-elle ce patch { program, commands? } de la banque? Program et bank select effectif
+// (PatchMIDICommands de la route / du patch, sinon MSB/LSB de la route / de la banque) doivent correspondre.
+function routeTargetsPatch(r, bank, patch)
+{
+    if (!r || r.program !== patch?.program) return false;
+    if (r.bankName && bank?.name && r.bankName !== bank.name) return false;
+
+    const mine = patchBankSelect(r, r);
+    const theirs = patchBankSelect(patch, bank);
+    return mine.msb === theirs.msb && mine.lsb === theirs.lsb;
+}
+
 function normalizeEntry(e)
 {
     return {
         id: String((e && e.id) || makeId("e")),
         name: String((e && e.name) || "Entry"),
-        routes: Array.isArray(e && e.routes) ? e.routes.map(normalizeRoute) : []
+        routes: Array.isArray(e && e.routes) ? e.routes.map(normalizeRoute) : [],
+        // Notes libres (paroles, tonalité, tempo, "capo 2"...), lignes séparées par "\n"
+        notes: normalizeNotes(e && e.notes),
+        // Horloge MIDI au rappel (voir parseEntryTempoText): sans BPM, seul "stop" agit
+        bpm: optionalBpm(e && e.bpm),
+        clock: CLOCK_MODES.includes(e && e.clock) ? e.clock : "start",
+        songPosition: optionalInt(e && e.songPosition, 0, MAX_SONG_POSITION) || 0
     };
 }
 
+function normalizeNotes(text)
+{
+    if (text == null) return "";
+    return String(text).replace(/\r\n?/g, "\n").replace(/\s+$/, "");
+}
+
 function normalizeHotkey(k)
 {
     if (k == null) return null;
@@ -355,6 +469,29 @@ class SetlistsStore
         return true;
     }
 
+    setEntryNotes(setlistId, entryId, notes)
+    {
+        const e = this.getEntry(setlistId, entryId);
+        if (!e) return false;
+
+        e.notes = normalizeNotes(notes);
+        this.save();
+        return true;
+    }
+
+    setEntryTempo(setlistId, entryId, tempo)
+    {
+        const e = this.getEntry(setlistId, entryId);
+        if (!e) return false;
+
+        const t = normalizeEntry(Object.assign({}, tempo));
+        e.bpm = t.bpm;
+        e.clock = t.clock;
+        e.songPosition = t.songPosition;
+        this.save();
+        return true;
+    }
+
     moveEntry(setlistId, entryId, delta)
     {
         const s = this.getById(setlistId);
@@ -382,7 +519,11 @@ class SetlistsStore
 
         const copy = normalizeEntry({
             name: newName || (src.name + " (copy)"),
-            routes: (src.routes || []).map(r => ({ ...r }))
+            routes: (src.routes || []).map(r => ({ ...r })),
+            notes: src.notes,
+            bpm: src.bpm,
+            clock: src.clock,
+            songPosition: src.songPosition
         });
 
         s.entries.push(copy);
@@ -400,12 +541,23 @@ class SetlistsStore
         const r = normalizeRoute(route);
         if (!r.machineId) return false;
 
-        const idx = e.routes.findIndex(x => x.machineId === r.machineId);
+        const idx = e.routes.findIndex(x => sameRoute(x, r));
         if (idx >= 0)
         {
-            if (r.ccSlots == null && e.routes[idx] && e.routes[idx].ccSlots != null)
+            if (r.messages == null && e.routes[idx] && e.routes[idx].messages != null)
+            {
+                r.messages = e.routes[idx].messages;
+            }
+
+            if (r.sysex == null && e.routes[idx] && e.routes[idx].sysex != null)
+            {
+                r.sysex = e.routes[idx].sysex;
+            }
+
+            // Surcharges absentes de la route reçue (route du draft): celles de la route existante restent
+            for (const k of ROUTE_OVERRIDE_KEYS)
             {
-                r.ccSlots = e.routes[idx].ccSlots;
+                if (route[k] === undefined && e.routes[idx][k] != null) r[k] = e.routes[idx][k];
             }
 
             e.routes[idx] = r;
@@ -419,12 +571,12 @@ class SetlistsStore
         return true;
     }
 
-    removeRoute(setlistId, entryId, machineId)
+    removeRoute(setlistId, entryId, machineId, part = null)
     {
         const e = this.getEntry(setlistId, entryId);
         if (!e) return false;
 
-        const idx = e.routes.findIndex(x => x.machineId === machineId);
+        const idx = e.routes.findIndex(x => sameRoute(x, { machineId, part }));
         if (idx < 0) return false;
 
         e.routes.splice(idx, 1);
@@ -432,6 +584,34 @@ class SetlistsStore
         return true;
     }
 
+    /**
+     * Renomme patchName dans toutes les routes (toutes setlists) qui visent ce patch { program, commands? }
+     * de la banque sur cette machine.
+     * @returns {number} nombre de routes modifiées
+     */
+    renamePatchInRoutes(machineId, bank, patch, name)
+    {
+        let n = 0;
+
+        for (const s of this.data.setlists)
+        {
+            for (const e of s.entries)
+            {
+                for (const r of e.routes)
+                {
+                    if (r.machineId !== machineId || !routeTargetsPatch(r, bank, patch)) continue;
+                    if (r.patchName === name) continue;
+
+                    r.patchName = name;
+                    n++;
+                }
+            }
+        }
+
+        if (n) this.save();
+        return n;
+    }
+
     // ----- HOTKEYS -----
 
     assignHotkey(setlistId, key, entryId)
@@ -496,4 +676,15 @@ class SetlistsStore
     }
 }
 
-module.exports = { SetlistsStore, normalizeHotkey };
+module.exports = {
+    SetlistsStore,
+    normalizeHotkey,
+    sameRoute,
+    routeTargetsPatch,
+    ROUTE_OVERRIDE_KEYS,
+    parseRouteOverridesText,
+    formatRouteOverrides,
+    CLOCK_MODES,
+    parseEntryTempoText,
+    formatEntryTempo
+};
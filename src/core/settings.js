@@ -10,6 +10,12 @@ const DEFAULT_SETTINGS = {
     remote: {
         vfdBrightness: 3,
         backlightColor: "#48C410"
+    },
+    midiRemote: {
+        enabled: false,
+        port: null,
+        channel: 0
+        // mappings: absent = DEFAULT_MAPPINGS de src/remote/midiRemoteDevice.js
     }
 };
 
@@ -0,0 +1,189 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+const { performance } = require("perf_hooks");
+
+// Horloge MIDI maître: 24 F8 par noire, Start (FA) / Continue (FB) / Stop (FC), Song Position Pointer (F2 lsb msb).
+// La position se compte en "MIDI beats" (doubles-croches, 6 horloges) comme le SPP.
+
+const PPQN = 24;
+const CLOCKS_PER_BEAT = 6;
+
+const CLOCK = 0xF8;
+const START = 0xFA;
+const CONTINUE = 0xFB;
+const STOP = 0xFC;
+const SONG_POSITION = 0xF2;
+
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+
+// Retard au-delà duquel on ne rattrape plus les horloges manquées (process bloqué): on repart de maintenant
+const MAX_CATCH_UP = 4;
+
+function clampBpm(v, def)
+{
+  const n = Number(v);
+  if (!Number.isFinite(n)) return def;
+  return Math.min(MAX_BPM, Math.max(MIN_BPM, n));
+}
+
+function songPositionBytes(beats)
+{
+  const v = Math.max(0, Math.min(16383, beats | 0));
+  return [SONG_POSITION, v & 0x7F, (v >> 7) & 0x7F];
+}
+
+/**
+ * Horloge maître sur une liste de sorties.
+ * send(port, bytes) envoie tout de suite (driver.sendNow); un port en erreur est ignoré jusqu'au prochain setPorts().
+ * Les horloges sont calées sur une ancre (instant, numéro d'horloge): pas de dérive quand les timers sont en retard.
+ *
+ * Émet "state" { running, bpm, position, ports } à chaque Start / Stop / Continue / changement de tempo,
+ * et "portError" { port, message } la première fois qu'un port échoue.
+ */
+class MidiClock extends EventEmitter
+{
+  constructor({ send } = {})
+  {
+    super();
+    this.send = send || (() => { });
+
+    this.ports = [];
+    this.bpm = 120;
+    this.running = false;
+    this.ticks = 0; // horloges depuis la position 0
+
+    this._failed = new Set();
+    this._timer = null;
+    this._anchor = null; // { at, tick }
+  }
+
+  setPorts(ports)
+  {
+    this.ports = [...new Set((ports || []).filter(Boolean))];
+    this._failed.clear();
+  }
+
+  get intervalMs()
+  {
+    return 60000 / (this.bpm * PPQN);
+  }
+
+  // Position courante en doubles-croches (valeur du SPP)
+  get position()
+  {
+    return Math.floor(this.ticks / CLOCKS_PER_BEAT);
+  }
+
+  getState()
+  {
+    return { running: this.running, bpm: this.bpm, position: this.position, ports: this.ports.slice() };
+  }
+
+  setTempo(bpm)
+  {
+    const next = clampBpm(bpm, this.bpm);
+    if (next === this.bpm) return;
+
+    this.bpm = next;
+    if (this.running) this._anchor = { at: performance.now(), tick: this.ticks };
+    this._emitState();
+  }
+
+  // Départ depuis le début (Start remet la position à 0 côté récepteurs)
+  start()
+  {
+    this._halt();
+    this.ticks = 0;
+    this._broadcast([START]);
+    this._run();
+  }
+
+  // Reprise à la position courante, ou à position (SPP envoyé avant Continue, horloge arrêtée)
+  continue(position = null)
+  {
+    this._halt();
+    if (position != null)
+    {
+      const bytes = songPositionBytes(position);
+      this.ticks = ((bytes[2] << 7) | bytes[1]) * CLOCKS_PER_BEAT;
+      this._broadcast(bytes);
+    }
+    this._broadcast([CONTINUE]);
+    this._run();
+  }
+
+  stop()
+  {
+    const wasRunning = this.running;
+    this._halt();
+    this._broadcast([STOP]);
+    if (wasRunning) this._emitState();
+  }
+
+  _run()
+  {
+    this.running = true;
+    this._anchor = { at: performance.now(), tick: this.ticks };
+    this._schedule();
+    this._emitState();
+  }
+
+  _halt()
+  {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this.running = false;
+  }
+
+  _schedule()
+  {
+    const due = this._anchor.at + (this.ticks + 1 - this._anchor.tick) * this.intervalMs;
+    this._timer = setTimeout(() => this._tick(), Math.max(0, due - performance.now()));
+  }
+
+  _tick()
+  {
+    if (!this.running) return;
+
+    const now = performance.now();
+    let late = Math.floor((now - this._anchor.at) / this.intervalMs) + this._anchor.tick - this.ticks;
+
+    if (late > MAX_CATCH_UP)
+    {
+      this._anchor = { at: now, tick: this.ticks };
+      late = 1;
+    }
+
+    for (let i = 0; i < Math.max(1, late); i++)
+    {
+      this._broadcast([CLOCK]);
+      this.ticks++;
+    }
+
+    this._schedule();
+  }
+
+  _broadcast(bytes)
+  {
+    for (const port of this.ports)
+    {
+      if (this._failed.has(port)) continue;
+
+      try { this.send(port, bytes); }
+      catch (e)
+      {
+        this._failed.add(port);
+        this.emit("portError", { port, message: e.message });
+      }
+    }
+  }
+
+  _emitState()
+  {
+    this.emit("state", this.getState());
+  }
+}
+
+module.exports = { MidiClock, PPQN, MIN_BPM, MAX_BPM, songPositionBytes };
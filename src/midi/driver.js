@@ -1,5 +1,10 @@
 "use strict";
 
+const { EventEmitter } = require("events");
+const { validateSysEx, formatSysExHex, formatHexBytes } = require("./sysex");
+const { normalizeMessageList, messageToBytes } = require("./messages");
+const { normalizeBankSelect } = require("../core/machines");
+
 const MOCK = process.env.MIDI_MOCK === "1";
 const DEBUG_VPORT = process.env.MIDI_DEBUG_VPORT === "1";
 
@@ -39,6 +44,13 @@ function requireMidi()
 // Cache des outputs ouverts (clé normalisée)
 const outCache = new Map();
 
+// Cache des inputs ouverts (clé normalisée)
+const inCache = new Map();
+
+// Messages entrants parsés: "message" pour tout, puis un event par type ("noteon", "cc", "pc", "sysex", "clock"...)
+const inputEvents = new EventEmitter();
+inputEvents.setMaxListeners(0);
+
 function listOutputs() 
 {
   if (MOCK) 
@@ -118,45 +130,380 @@ function closeAll()
     try { out.closePort(); } catch {}
     outCache.delete(key);
   }
+
+  for (const key of [...inCache.keys()]) 
+  {
+    closeInput(key);
+  }
+
+  sendQueues.clear();
+}
+
+// -------------------- MIDI IN --------------------
+
+function listInputs() 
+{
+  if (MOCK) 
+  {
+    return ["[MOCK] Virtual Input 1", "[MOCK] Virtual Input 2"];
+  }
+
+  const midiLib = requireMidi();
+  const input = new midiLib.Input();
+
+  const n = input.getPortCount();
+  const ports = [];
+  for (let i = 0; i < n; i++) 
+  {
+    ports.push(input.getPortName(i));
+  }
+
+  try { input.closePort(); } catch {}
+  return ports;
+}
+
+function findInputPortIndexByName(wantedName) 
+{
+  const midiLib = requireMidi();
+  const input = new midiLib.Input();
+  const n = input.getPortCount();
+
+  const wantedNorm = normalizePortLabel(wantedName).toLowerCase();
+
+  for (let i = 0; i < n; i++) 
+  {
+    const pn = input.getPortName(i);
+    const pnNorm = normalizePortLabel(pn).toLowerCase();
+
+    // même règle que pour les outputs
+    if (pn === wantedName || pnNorm === wantedNorm) 
+    {
+      try { input.closePort(); } catch {}
+      return i;
+    }
+  }
+
+  try { input.closePort(); } catch {}
+  return -1;
+}
+
+/**
+ * Décode un message MIDI brut en objet:
+ * { type, channel (1..16 ou null), bytes, ...champs selon le type }
+ * Types: noteon, noteoff, polyaftertouch, cc, pc, aftertouch, pitchbend,
+ * sysex, mtc, songpos, songselect, tunerequest, clock, start, continue,
+ * stop, activesensing, reset, unknown.
+ */
+function parseMidiMessage(bytes) 
+{
+  const data = Array.from(bytes || [], (b) => b & 0xFF);
+  const status = data[0];
+
+  if (status == null) return { type: "unknown", channel: null, bytes: data };
+
+  if (status < 0xF0) 
+  {
+    const kind = status & 0xF0;
+    const channel = (status & 0x0F) + 1;
+    const d1 = data[1] ?? 0;
+    const d2 = data[2] ?? 0;
+
+    switch (kind) 
+    {
+      case 0x80:
+        return { type: "noteoff", channel, note: d1, velocity: d2, bytes: data };
+      case 0x90:
+        // NoteOn vélocité 0 == NoteOff
+        if (d2 === 0) return { type: "noteoff", channel, note: d1, velocity: 0, bytes: data };
+        return { type: "noteon", channel, note: d1, velocity: d2, bytes: data };
+      case 0xA0:
+        return { type: "polyaftertouch", channel, note: d1, value: d2, bytes: data };
+      case 0xB0:
+        return { type: "cc", channel, controller: d1, value: d2, bytes: data };
+      case 0xC0:
+        return { type: "pc", channel, program: d1, bytes: data };
+      case 0xD0:
+        return { type: "aftertouch", channel, value: d1, bytes: data };
+      case 0xE0:
+        return { type: "pitchbend", channel, value: ((d2 << 7) | d1) - 8192, bytes: data };
+      default:
+        return { type: "unknown", channel, bytes: data };
+    }
+  }
+
+  switch (status) 
+  {
+    case 0xF0:
+      return { type: "sysex", channel: null, bytes: data };
+    case 0xF1:
+      return { type: "mtc", channel: null, value: data[1] ?? 0, bytes: data };
+    case 0xF2:
+      return { type: "songpos", channel: null, value: ((data[2] ?? 0) << 7) | (data[1] ?? 0), bytes: data };
+    case 0xF3:
+      return { type: "songselect", channel: null, value: data[1] ?? 0, bytes: data };
+    case 0xF6:
+      return { type: "tunerequest", channel: null, bytes: data };
+    case 0xF8:
+      return { type: "clock", channel: null, bytes: data };
+    case 0xFA:
+      return { type: "start", channel: null, bytes: data };
+    case 0xFB:
+      return { type: "continue", channel: null, bytes: data };
+    case 0xFC:
+      return { type: "stop", channel: null, bytes: data };
+    case 0xFE:
+      return { type: "activesensing", channel: null, bytes: data };
+    case 0xFF:
+      return { type: "reset", channel: null, bytes: data };
+    default:
+      return { type: "unknown", channel: null, bytes: data };
+  }
+}
+
+function dispatchInputMessage(portName, bytes, deltaTime) 
+{
+  const msg = parseMidiMessage(bytes);
+  msg.port = portName;
+  msg.deltaTime = deltaTime || 0;
+
+  try 
+  {
+    inputEvents.emit("message", msg);
+    inputEvents.emit(msg.type, msg);
+  }
+  catch (e) 
+  {
+    console.warn(`[MIDI IN] listener error on "${portName}": ${e.message || e}`);
+  }
+
+  return msg;
+}
+
+/**
+ * Ouvre un input MIDI par nom (normalisé, même cache que les outputs).
+ * Les messages reçus sont publiés sur `inputEvents`.
+ */
+function getOrOpenInputByName(name) 
+{
+  const cacheKey = normalizePortLabel(name).toLowerCase();
+  if (inCache.has(cacheKey)) return inCache.get(cacheKey);
+
+  if (MOCK) 
+  {
+    // Port factice: on peut injecter des messages avec simulateInput()
+    const fake = { portName: String(name), mock: true, closePort() {} };
+    inCache.set(cacheKey, fake);
+    return fake;
+  }
+
+  const idx = findInputPortIndexByName(name);
+  if (idx < 0) 
+  {
+    const ports = listInputs();
+    throw new Error(
+      `Port MIDI IN introuvable: "${name}". Ports dispo:\n- ${ports.join("\n- ")}`
+    );
+  }
+
+  const midiLib = requireMidi();
+  const input = new midiLib.Input();
+
+  // On veut SysEx et clock, pas l'active sensing
+  try { input.ignoreTypes(false, false, true); } catch {}
+
+  const portName = input.getPortName(idx) || String(name);
+  input.on("message", (deltaTime, message) => dispatchInputMessage(portName, message, deltaTime));
+
+  input.openPort(idx);
+  input.portName = portName;
+  inCache.set(cacheKey, input);
+  return input;
 }
 
-// Envoie Bank Select + Program Change
-function sendPatch(machine, bank, patch) 
+function openInput(name) 
 {
-  const msb = bank?.msb ?? null;
-  const lsb = bank?.lsb ?? null;
+  if (!name) throw new Error("Nom de port MIDI IN absent.");
+  return getOrOpenInputByName(name);
+}
 
+function closeInput(name) 
+{
+  const cacheKey = normalizePortLabel(name).toLowerCase();
+  const input = inCache.get(cacheKey);
+  if (!input) return false;
+
+  try { input.removeAllListeners && input.removeAllListeners("message"); } catch {}
+  try { input.closePort(); } catch {}
+  inCache.delete(cacheKey);
+  return true;
+}
+
+function listOpenInputs() 
+{
+  return [...inCache.values()].map(i => i.portName || null).filter(Boolean);
+}
+
+// Dev/MOCK: injecte un message comme s'il venait du port `name`
+function simulateInput(name, bytes) 
+{
+  return dispatchInputMessage(String(name), bytes, 0);
+}
+
+// Profil bank-select de la machine: même validation que le stockage (bornes, délai max compris)
+function bankSelectProfile(machine) 
+{
+  return normalizeBankSelect(machine?.bankSelect);
+}
+
+// Séquence Bank Select + Program Change selon le profil: [{ bytes, delayMs }] (delayMs = attente avant l'envoi)
+function buildPatchMessages(machine, bank, patch) 
+{
   if (patch?.program == null) 
   {
     throw new Error(`Patch invalide: program absent. Patch=${JSON.stringify(patch)}`);
   }
 
   const ch = Math.max(1, Math.min(16, Number(machine?.channel || 1))) - 1;
+  const profile = bankSelectProfile(machine);
+  const clamp7 = (v) => Math.max(0, Math.min(127, v | 0));
 
-  const msg =
-    `${machine?.name || "Machine"} ch=${ch + 1} -> ` +
-    `MSB=${msb ?? "-"} LSB=${lsb ?? "-"} PC=${patch.program} "${patch?.name || ""}"`;
+  // PatchMIDICommands du .midnam: envoyées telles quelles (ni mode, ni ordre, ni programBase),
+  // seul le délai du profil est inséré avant le Program Change
+  const commands = normalizeMessageList(patch.commands);
+  if (commands.length) 
+  {
+    const seq = [];
+    for (const m of commands) 
+    {
+      const delayMs = (m.type === "pc" && seq.length) ? Math.max(profile.delayMs, m.delayMs || 0) : (m.delayMs || 0);
+      messageToBytes(m, ch).forEach((bytes, i) => seq.push({ bytes, delayMs: i === 0 ? delayMs : 0 }));
+    }
+    return seq;
+  }
 
-  if (MOCK) return `[MOCK MIDI] ${msg}`;
+  // Liste d'extension sans banque ni emplacement sur l'appareil de base (resolveMidnam): bank select inconnu
+  if (bank?.sendable === false) 
+  {
+    throw new Error(`Banque "${bank.name}": bank select inconnu (carte d'extension sans emplacement sur l'appareil de base).`);
+  }
+
+  const msb = (profile.mode === "both" || profile.mode === "msb") ? (bank?.msb ?? null) : null;
+  const lsb = (profile.mode === "both" || profile.mode === "lsb") ? (bank?.lsb ?? null) : null;
+
+  const bankMsgs = [];
+  if (msb != null) bankMsgs.push([0xB0 | ch, 0, clamp7(msb)]);
+  if (lsb != null) bankMsgs.push([0xB0 | ch, 32, clamp7(lsb)]);
+
+  const pc = [0xC0 | ch, clamp7(Number(patch.program) - profile.programBase)];
+
+  const first = profile.order === "pc-bank" ? [pc] : bankMsgs;
+  const second = profile.order === "pc-bank" ? bankMsgs : [pc];
+
+  return [
+    ...first.map(bytes => ({ bytes, delayMs: 0 })),
+    ...second.map((bytes, i) => ({ bytes, delayMs: (i === 0 && first.length) ? profile.delayMs : 0 }))
+  ];
+}
+
+// -------------------- FILE D'ENVOI --------------------
+
+// Une file par sortie (clé normalisée): ordre garanti entre routes/machines, attentes non bloquantes
+const sendQueues = new Map(); // key -> { tail: Promise, lastAt: number }
+
+function wait(ms) 
+{
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
+// Envoie une séquence [{ bytes, delayMs }] via la file de la sortie de la machine.
+// options.gapMs = écart minimum entre deux messages sur ce port (machines lentes).
+// Retourne une Promise résolue avec { port, sent } quand tout est parti.
+function sendSequence(machine, seq, options = {}) 
+{
   const outName = machine?.out;
   if (!outName) 
   {
     throw new Error(`Machine "${machine?.name || machine?.id}" n'a pas de sortie MIDI (out=null). Assigne un port.`);
   }
 
-  const out = getOrOpenOutputByName(outName);
+  // Ouverture synchrone: un port absent échoue tout de suite, pas au milieu de la file
+  const out = MOCK ? null : getOrOpenOutputByName(outName);
 
-  const clamp7 = (v) => Math.max(0, Math.min(127, v | 0));
+  const key = normalizePortLabel(outName).toLowerCase();
+  const gapMs = Math.max(0, Number(options.gapMs) || 0);
+
+  if (!sendQueues.has(key)) sendQueues.set(key, { tail: Promise.resolve(), lastAt: 0 });
+  const q = sendQueues.get(key);
 
-  if (msb != null) out.sendMessage([0xB0 | ch, 0, clamp7(msb)]);
-  if (lsb != null) out.sendMessage([0xB0 | ch, 32, clamp7(lsb)]);
-  out.sendMessage([0xC0 | ch, clamp7(patch.program)]);
+  const items = Array.isArray(seq) ? seq.slice() : [];
+
+  const run = async () => 
+  {
+    let sent = 0;
+    for (const it of items) 
+    {
+      const pause = Math.max(Number(it.delayMs) || 0, gapMs) - (Date.now() - q.lastAt);
+      if (pause > 0) await wait(pause);
+
+      if (out) out.sendMessage(it.bytes.slice());
+      q.lastAt = Date.now();
+      sent++;
+    }
+    return { port: outName, sent };
+  };
+
+  const job = q.tail.then(run);
+  q.tail = job.catch(() => {});
+  return job;
+}
+
+// Envoi immédiat, hors file d'attente: messages temps réel (horloge, Start/Stop) qui ne doivent pas
+// attendre derrière un SysEx ou un délai de machine lente.
+function sendNow(portName, bytes) 
+{
+  if (!portName) throw new Error("Pas de sortie MIDI.");
+  if (MOCK) return;
+
+  getOrOpenOutputByName(portName).sendMessage(bytes.slice());
+}
+
+// Les envois "fire and forget" ci-dessous retournent leur message tout de suite: un échec
+// dans la file (port fermé entre temps...) est journalisé au lieu d'être perdu.
+function logSendError(machine, e) 
+{
+  console.warn(`[MIDI] Send failed on ${machine?.out || "?"} (${machine?.name || machine?.id || "Machine"}): ${e?.message || e}`);
+}
 
+// Envoie Bank Select + Program Change; options.gapMs = écart minimum machine/port (cf. sendSequence)
+function sendPatch(machine, bank, patch, options = {}) 
+{
+  const seq = buildPatchMessages(machine, bank, patch);
+  const profile = bankSelectProfile(machine);
+
+  const ch = Math.max(1, Math.min(16, Number(machine?.channel || 1))) - 1;
+  const sentMsb = seq.find(it => (it.bytes[0] & 0xF0) === 0xB0 && it.bytes[1] === 0);
+  const sentLsb = seq.find(it => (it.bytes[0] & 0xF0) === 0xB0 && it.bytes[1] === 32);
+  const sentPc = seq.find(it => (it.bytes[0] & 0xF0) === 0xC0);
+
+  const msg =
+    `${machine?.name || "Machine"} ch=${ch + 1} -> ` +
+    `MSB=${sentMsb ? sentMsb.bytes[2] : "-"} LSB=${sentLsb ? sentLsb.bytes[2] : "-"} PC=${sentPc ? sentPc.bytes[1] : "-"} "${patch?.name || ""}"` +
+    (Array.isArray(patch?.commands) && patch.commands.length ? " (patch commands)" : (profile.order === "pc-bank" ? " (PC first)" : "")) +
+    (profile.delayMs ? ` (+${profile.delayMs}ms)` : "");
+
+  if (MOCK) return `[MOCK MIDI] ${msg}`;
+
+  const outName = machine?.out;
+  if (!outName) 
+  {
+    throw new Error(`Machine "${machine?.name || machine?.id}" n'a pas de sortie MIDI (out=null). Assigne un port.`);
+  }
+
+  sendSequence(machine, seq, options).catch(e => logSendError(machine, e));
   return msg;
 }
 
-function sendCC(machine, cc, value) 
+function sendCC(machine, cc, value, options = {}) 
 {
   const ch = Math.max(1, Math.min(16, Number(machine?.channel || 1))) - 1;
 
@@ -171,17 +518,55 @@ function sendCC(machine, cc, value)
     return `[MOCK MIDI] ${machine?.name || "Machine"} ch=${ch + 1} CC${cc}=${value}`;
   }
 
-  const out = getOrOpenOutputByName(outName);
-
   const clamp7 = (v) => Math.max(0, Math.min(127, v | 0));
 
   const cc7 = clamp7(cc);
   const val7 = clamp7(value);
 
-  out.sendMessage([0xB0 | ch, cc7, val7]);
+  sendSequence(machine, [{ bytes: [0xB0 | ch, cc7, val7], delayMs: 0 }], options).catch(e => logSendError(machine, e));
   return `${machine?.name || "Machine"} ch=${ch + 1} CC${cc7}=${val7}`;
 }
 
+// Envoie un message MIDI déjà encodé (status + data) sur la sortie de la machine
+function sendRaw(machine, bytes, options = {}) 
+{
+  if (!Array.isArray(bytes) || !bytes.length || (bytes[0] & 0x80) === 0) 
+  {
+    throw new Error(`Message MIDI invalide: ${JSON.stringify(bytes)}`);
+  }
+
+  const outName = machine?.out;
+  if (!outName) 
+  {
+    throw new Error(`Machine "${machine?.name || machine?.id}" n'a pas de sortie MIDI (out=null). Assigne un port.`);
+  }
+
+  const msg = `${machine?.name || "Machine"} ${formatHexBytes(bytes)}`;
+
+  if (MOCK) return `[MOCK MIDI] ${msg}`;
+
+  sendSequence(machine, [{ bytes: bytes.slice(), delayMs: 0 }], options).catch(e => logSendError(machine, e));
+  return msg;
+}
+
+// Envoie un message SysEx complet (F0 ... F7) sur la sortie de la machine
+function sendSysEx(machine, bytes, options = {}) 
+{
+  validateSysEx(bytes);
+
+  const outName = machine?.out;
+  if (!outName) 
+  {
+    throw new Error(`Machine "${machine?.name || machine?.id}" n'a pas de sortie MIDI (out=null). Assigne un port.`);
+  }
+
+  const msg = `${machine?.name || "Machine"} SysEx ${formatSysExHex(bytes)}`;
+
+  if (MOCK) return `[MOCK MIDI] ${msg}`;
+
+  sendSequence(machine, [{ bytes: bytes.slice(), delayMs: 0 }], options).catch(e => logSendError(machine, e));
+  return msg;
+}
 
 process.on("exit", closeAll);
 process.on("SIGINT", () => {
@@ -193,4 +578,22 @@ process.on("SIGTERM", () => {
   if (process.listenerCount("SIGTERM") === 1) process.exit(0);
 });
 
-module.exports = { listOutputs, sendPatch, sendCC, closeAll };
+module.exports = {
+  listOutputs,
+  sendPatch,
+  buildPatchMessages,
+  sendSequence,
+  sendNow,
+  sendCC,
+  sendSysEx,
+  sendRaw,
+  closeAll,
+  listInputs,
+  openInput,
+  closeInput,
+  listOpenInputs,
+  parseMidiMessage,
+  simulateInput,
+  normalizePortLabel,
+  inputEvents
+};
@@ -0,0 +1,346 @@
+"use strict";
+
+const { parseHexBytes, formatHexBytes } = require("./sysex");
+
+// Séquences de messages MIDI par route: CC, CC 14 bits, NRPN, RPN, PC, aftertouch, pitch bend, octets bruts.
+// Forme texte (éditeur TUI), une ligne par message, délai optionnel avant l'envoi en préfixe:
+//   cc 7=100 | cc14 1=8192 | nrpn 1234=64 | nrpn 1:8=64:0 | rpn 0=2:0 | pc 5
+//   at 64 | polyat 60=64 | pb -200 | raw B0 07 64 | +50ms cc 7=100
+
+const MESSAGE_TYPES = Object.freeze(["cc", "cc14", "nrpn", "rpn", "pc", "at", "polyat", "pb", "raw"]);
+
+const MAX_DELAY_MS = 10000;
+
+function toInt(v)
+{
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.trunc(n);
+}
+
+function clamp(v, lo, hi)
+{
+  const n = toInt(v);
+  if (n == null) return null;
+  return Math.max(lo, Math.min(hi, n));
+}
+
+// Octets bruts en hex; null si le texte est vide ou invalide
+function hexOrNull(text)
+{
+  try { return parseHexBytes(text, "Raw"); } catch { return null; }
+}
+
+// Octets bruts: un status (>= 0x80) suivi de data (< 0x80); SysEx accepté s'il est bien cadré F0..F7
+function isValidRawBytes(bytes)
+{
+  if (!Array.isArray(bytes) || !bytes.length) return false;
+  if (bytes[0] < 0x80 || bytes[0] > 0xFF) return false;
+
+  const last = bytes.length - 1;
+  for (let i = 1; i < bytes.length; i++)
+  {
+    const b = bytes[i];
+    if (bytes[0] === 0xF0 && i === last && b === 0xF7) continue;
+    if (!Number.isInteger(b) || b < 0 || b > 0x7F) return false;
+  }
+
+  if (bytes[0] === 0xF0 && bytes[last] !== 0xF7) return false;
+  return true;
+}
+
+function normalizeMessage(m)
+{
+  if (!m || typeof m !== "object") return null;
+
+  const type = String(m.type || "").trim().toLowerCase();
+  if (!MESSAGE_TYPES.includes(type)) return null;
+
+  const delayMs = clamp(m.delayMs, 0, MAX_DELAY_MS) || 0;
+  let out = null;
+
+  switch (type)
+  {
+    case "cc":
+    {
+      const cc = clamp(m.cc, 0, 127);
+      const value = clamp(m.value, 0, 127);
+      if (cc == null || value == null) return null;
+      out = { type, cc, value };
+      break;
+    }
+
+    case "cc14":
+    {
+      // MSB sur cc (0..31), LSB sur cc+32
+      const cc = clamp(m.cc, 0, 31);
+      const value = clamp(m.value, 0, 16383);
+      if (cc == null || value == null) return null;
+      out = { type, cc, value };
+      break;
+    }
+
+    case "nrpn":
+    case "rpn":
+    {
+      const param = clamp(m.param, 0, 16383);
+      const value = clamp(m.value, 0, 127);
+      const lsb = clamp(m.lsb, 0, 127);
+      if (param == null || value == null) return null;
+      out = { type, param, value, lsb };
+      break;
+    }
+
+    case "pc":
+    {
+      const program = clamp(m.program, 0, 127);
+      if (program == null) return null;
+      out = { type, program };
+      break;
+    }
+
+    case "at":
+    {
+      const value = clamp(m.value, 0, 127);
+      if (value == null) return null;
+      out = { type, value };
+      break;
+    }
+
+    case "polyat":
+    {
+      const note = clamp(m.note, 0, 127);
+      const value = clamp(m.value, 0, 127);
+      if (note == null || value == null) return null;
+      out = { type, note, value };
+      break;
+    }
+
+    case "pb":
+    {
+      const value = clamp(m.value, -8192, 8191);
+      if (value == null) return null;
+      out = { type, value };
+      break;
+    }
+
+    case "raw":
+    {
+      const bytes = Array.isArray(m.bytes) ? m.bytes.map(toInt) : hexOrNull(m.bytes);
+      if (!isValidRawBytes(bytes)) return null;
+      out = { type, bytes: formatHexBytes(bytes) };
+      break;
+    }
+  }
+
+  if (delayMs) out.delayMs = delayMs;
+  return out;
+}
+
+function normalizeMessageList(src)
+{
+  if (!Array.isArray(src)) return [];
+  return src.map(normalizeMessage).filter(Boolean);
+}
+
+// Anciens ccSlots ([{cc,value}], [[cc,value]] ou {cc: value}) -> messages "cc"
+function ccSlotsToMessages(src)
+{
+  if (src == null) return [];
+
+  const pairs = [];
+
+  if (Array.isArray(src))
+  {
+    for (const it of src)
+    {
+      if (Array.isArray(it) && it.length >= 2) pairs.push([it[0], it[1]]);
+      else if (it && typeof it === "object") pairs.push([it.cc, it.value]);
+    }
+  }
+  else if (typeof src === "object")
+  {
+    for (const k of Object.keys(src)) pairs.push([k, src[k]]);
+  }
+
+  return pairs
+    .map(([cc, value]) => normalizeMessage({ type: "cc", cc, value }))
+    .filter(Boolean);
+}
+
+// Message normalisé -> liste de messages MIDI (tableaux d'octets); ch = 0..15
+function messageToBytes(m, ch)
+{
+  const c = Math.max(0, Math.min(15, ch | 0));
+  const cc = (n, v) => [0xB0 | c, n & 0x7F, v & 0x7F];
+
+  switch (m && m.type)
+  {
+    case "cc":
+      return [cc(m.cc, m.value)];
+
+    case "cc14":
+      return [cc(m.cc, m.value >> 7), cc(m.cc + 32, m.value & 0x7F)];
+
+    case "nrpn":
+    case "rpn":
+    {
+      const [pMsb, pLsb] = m.type === "nrpn" ? [99, 98] : [101, 100];
+      const seq = [
+        cc(pMsb, m.param >> 7),
+        cc(pLsb, m.param & 0x7F),
+        cc(6, m.value)
+      ];
+      if (m.lsb != null) seq.push(cc(38, m.lsb));
+      // RPN null: évite qu'un data entry ultérieur modifie encore ce paramètre
+      seq.push(cc(101, 127), cc(100, 127));
+      return seq;
+    }
+
+    case "pc":
+      return [[0xC0 | c, m.program & 0x7F]];
+
+    case "at":
+      return [[0xD0 | c, m.value & 0x7F]];
+
+    case "polyat":
+      return [[0xA0 | c, m.note & 0x7F, m.value & 0x7F]];
+
+    case "pb":
+    {
+      const v = m.value + 8192;
+      return [[0xE0 | c, v & 0x7F, (v >> 7) & 0x7F]];
+    }
+
+    case "raw":
+      return [hexOrNull(m.bytes)];
+  }
+
+  return [];
+}
+
+function formatParam(p)
+{
+  return p > 127 ? `${p >> 7}:${p & 0x7F}` : String(p);
+}
+
+function formatMessage(m)
+{
+  if (!m) return "";
+
+  let body = "";
+  switch (m.type)
+  {
+    case "cc": body = `cc ${m.cc}=${m.value}`; break;
+    case "cc14": body = `cc14 ${m.cc}=${m.value}`; break;
+    case "nrpn":
+    case "rpn": body = `${m.type} ${formatParam(m.param)}=${m.value}${m.lsb != null ? ":" + m.lsb : ""}`; break;
+    case "pc": body = `pc ${m.program}`; break;
+    case "at": body = `at ${m.value}`; break;
+    case "polyat": body = `polyat ${m.note}=${m.value}`; break;
+    case "pb": body = `pb ${m.value}`; break;
+    case "raw": body = `raw ${m.bytes}`; break;
+    default: return "";
+  }
+
+  return m.delayMs ? `+${m.delayMs}ms ${body}` : body;
+}
+
+function parseMessageText(text)
+{
+  let t = String(text == null ? "" : text).trim();
+  if (!t) throw new Error("Message vide.");
+
+  let delayMs = 0;
+  const dm = t.match(/^\+\s*(\d+)\s*(?:ms)?\s+(.*)$/i);
+  if (dm)
+  {
+    delayMs = Number(dm[1]);
+    t = dm[2].trim();
+  }
+
+  // Raccourcis legacy: "7=100" ou "{7:100}" = CC
+  let m = t.match(/^\{\s*(\d{1,3})\s*:\s*(\d{1,3})\s*\}$/) || t.match(/^(\d{1,3})\s*=\s*(\d{1,3})$/);
+  if (m) t = `cc ${m[1]}=${m[2]}`;
+
+  m = t.match(/^([a-z0-9]+)\s+(.*)$/i);
+  if (!m) throw new Error(`Message illisible: "${t}".`);
+
+  const type = m[1].toLowerCase();
+  const args = m[2].trim();
+  let raw = null;
+
+  const pair = (re) =>
+  {
+    const p = args.match(re);
+    if (!p) throw new Error(`Syntaxe ${type} invalide: "${args}".`);
+    return p;
+  };
+
+  switch (type)
+  {
+    case "cc":
+    case "cc14":
+    {
+      const p = pair(/^(\d+)\s*=\s*(\d+)$/);
+      raw = { type, cc: p[1], value: p[2] };
+      break;
+    }
+
+    case "nrpn":
+    case "rpn":
+    {
+      const p = pair(/^(\d+)(?:\s*:\s*(\d+))?\s*=\s*(\d+)(?:\s*:\s*(\d+))?$/);
+      const param = (p[2] != null) ? (Number(p[1]) * 128 + Number(p[2])) : Number(p[1]);
+      if (p[2] != null && (Number(p[1]) > 127 || Number(p[2]) > 127)) throw new Error(`Paramètre ${type} hors limites.`);
+      raw = { type, param, value: p[3], lsb: p[4] };
+      break;
+    }
+
+    case "pc":
+      raw = { type, program: pair(/^(\d+)$/)[1] };
+      break;
+
+    case "at":
+      raw = { type, value: pair(/^(\d+)$/)[1] };
+      break;
+
+    case "polyat":
+    {
+      const p = pair(/^(\d+)\s*=\s*(\d+)$/);
+      raw = { type, note: p[1], value: p[2] };
+      break;
+    }
+
+    case "pb":
+      raw = { type, value: pair(/^(-?\d+)$/)[1] };
+      break;
+
+    case "raw":
+    {
+      const bytes = hexOrNull(args);
+      if (!isValidRawBytes(bytes)) throw new Error(`Octets bruts invalides: "${args}".`);
+      raw = { type, bytes };
+      break;
+    }
+
+    default:
+      throw new Error(`Type de message inconnu: "${type}" (${MESSAGE_TYPES.join(", ")}).`);
+  }
+
+  raw.delayMs = delayMs;
+  const out = normalizeMessage(raw);
+  if (!out) throw new Error(`Valeurs ${type} invalides: "${args}".`);
+  return out;
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  normalizeMessage,
+  normalizeMessageList,
+  ccSlotsToMessages,
+  messageToBytes,
+  formatMessage,
+  parseMessageText
+};
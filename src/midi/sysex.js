@@ -0,0 +1,146 @@
+"use strict";
+
+// Helpers SysEx: saisie en hex ("F0 42 30 42 12 01 F7"), validation du cadrage F0..F7.
+
+// Octets en hex, "F0 42 30" (espacé) ou "F04230" (collé); sert aussi aux messages bruts (hors SysEx)
+function parseHexBytes(text, what = "Hex")
+{
+  const t = String(text == null ? "" : text)
+    .replace(/0x/gi, " ")
+    .replace(/[,;:\-]/g, " ")
+    .trim();
+
+  if (!t) throw new Error(`${what} vide.`);
+
+  const tokens = /\s/.test(t)
+    ? t.split(/\s+/)
+    : (t.match(/.{1,2}/g) || []);
+
+  const bytes = [];
+  for (const tok of tokens)
+  {
+    if (!/^[0-9a-f]{1,2}$/i.test(tok))
+    {
+      throw new Error(`${what}: octet invalide "${tok}".`);
+    }
+    bytes.push(parseInt(tok, 16));
+  }
+
+  return bytes;
+}
+
+function parseSysExHex(text)
+{
+  const bytes = parseHexBytes(text, "SysEx");
+  validateSysEx(bytes);
+  return bytes;
+}
+
+function validateSysEx(bytes)
+{
+  if (!Array.isArray(bytes) || bytes.length < 3)
+  {
+    throw new Error("SysEx trop court (F0 ... F7).");
+  }
+
+  if (bytes[0] !== 0xF0) throw new Error("SysEx doit commencer par F0.");
+  if (bytes[bytes.length - 1] !== 0xF7) throw new Error("SysEx doit finir par F7.");
+
+  for (let i = 1; i < bytes.length - 1; i++)
+  {
+    const b = bytes[i];
+    if (!Number.isInteger(b) || b < 0 || b > 0x7F)
+    {
+      throw new Error(`SysEx: octet de donnée invalide à la position ${i} (${formatByte(b)}).`);
+    }
+  }
+
+  return true;
+}
+
+function isValidSysEx(bytes)
+{
+  try { return validateSysEx(bytes); } catch { return false; }
+}
+
+function formatByte(b)
+{
+  const n = Number(b);
+  if (!Number.isFinite(n)) return "??";
+  return (n & 0xFF).toString(16).toUpperCase().padStart(2, "0");
+}
+
+function formatHexBytes(bytes)
+{
+  return (Array.isArray(bytes) ? bytes : []).map(formatByte).join(" ");
+}
+
+function formatSysExHex(bytes)
+{
+  return formatHexBytes(bytes);
+}
+
+// Liste ordonnée de SysEx stockée en hex normalisé ("F0 .. F7"); les entrées invalides sont ignorées
+function normalizeSysExList(src)
+{
+  if (src == null) return null;
+
+  const arr = Array.isArray(src) ? src : [src];
+  const out = [];
+
+  for (const it of arr)
+  {
+    try
+    {
+      const bytes = Array.isArray(it) ? (validateSysEx(it) && it) : parseSysExHex(it);
+      out.push(formatSysExHex(bytes));
+    }
+    catch
+    {
+      // ignoré
+    }
+  }
+
+  return out;
+}
+
+// Identity Request universelle (non temps réel): F0 7E <device> 06 01 F7, 7F = tous les appareils
+function buildIdentityRequest(deviceId = 0x7F)
+{
+  return [0xF0, 0x7E, deviceId & 0x7F, 0x06, 0x01, 0xF7];
+}
+
+/**
+ * Décode une Identity Reply: F0 7E <device> 06 02 <fabricant 1 ou 3 octets> <famille 2> <membre 2> <version 4> F7.
+ * Retourne { deviceId, manufacturer: [..], family: [lsb, msb], member: [lsb, msb], version: [..] } ou null.
+ */
+function parseIdentityReply(bytes)
+{
+  const b = Array.isArray(bytes) ? bytes : Array.from(bytes || []);
+  if (b.length < 11 || b[0] !== 0xF0 || b[1] !== 0x7E || b[3] !== 0x06 || b[4] !== 0x02) return null;
+
+  // Identifiant étendu: 00 xx yy
+  const mlen = b[5] === 0x00 ? 3 : 1;
+  const at = 5 + mlen;
+  if (b.length < at + 5) return null;
+
+  return {
+    deviceId: b[2],
+    manufacturer: b.slice(5, at),
+    family: b.slice(at, at + 2),
+    member: b.slice(at + 2, at + 4),
+    version: b.slice(at + 4, Math.min(at + 8, b.length - 1))
+  };
+}
+
+module.exports = {
+  parseHexBytes,
+  formatHexBytes,
+  parseSysExHex,
+  validateSysEx,
+  isValidSysEx,
+  formatSysExHex,
+  normalizeSysExList,
+  buildIdentityRequest,
+  parseIdentityReply
+};
@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+const { XMLValidator } = require("fast-xml-parser");
+const { parseLibraryFile } = require("./parseLibraryFile");
+
+/**
+ * Lint d'un fichier .midnam: signale ce que parseMidnamFile ignore ou masque en silence.
+ * Retourne { file, issues: [ { severity: "error"|"warning", line, message, context } ] } (triés par ligne).
+ *
+ * Contrôles:
+ * - XML mal formé (XMLValidator)
+ * - UsesPatchNameList / PatchBankNameRef / UsesNoteNameList sans cible dans le fichier (ni ses extensions)
+ * - PatchBank sans patches (liste vide ou introuvable)
+ * - Patch sans ProgramChange (ignoré par le parser)
+ * - programme en double dans une PatchNameList (masqué par dedupeAndSortPatches)
+ * - PatchBank sans bank select (CC0/CC32) quand le fichier a plusieurs banques
+ *
+ * options.externalPatchNameLists: noms des PatchNameList fournies par les ExtendingDeviceNames
+ * d'autres fichiers pour cet appareil (voir MidnamIndex.externalPatchNameLists).
+ */
+function lintMidnamFile(filePath, options = {}) {
+  const external = options.externalPatchNameLists || new Set();
+  const xml = fs.readFileSync(filePath, "utf8");
+  const lines = xml.split(/\r\n|\r|\n/); // fichiers Mac anciens: CR seul
+  const issues = [];
+
+  const report = (severity, line, message) => {
+    issues.push({ severity, line, message, context: line ? String(lines[line - 1] || "").trim().slice(0, 160) : "" });
+  };
+
+  const valid = XMLValidator.validate(xml.replace(/\r\n?/g, "\n"));
+  if (valid !== true) {
+    report("error", valid.err?.line || null, `Malformed XML: ${valid.err?.msg || "parse error"}`);
+    return { file: filePath, issues };
+  }
+
+  const root = scanElements(xml);
+
+  const patchLists = findAll(root, "PatchNameList");
+  const banks = findAll(root, "PatchBank");
+  const listNames = new Set(patchLists.map(el => attr(el, "Name")).filter(n => n != null));
+  // Listes nommées qui contiennent au moins un patch
+  const filledLists = new Set(patchLists.filter(el => findAll(el, "Patch").length).map(el => attr(el, "Name")).filter(n => n != null));
+  const bankNames = new Set(banks.map(el => attr(el, "Name")).filter(n => n != null));
+  const noteListNames = new Set(findAll(root, "NoteNameList").map(el => attr(el, "Name")).filter(n => n != null));
+
+  // Références
+  for (const el of findAll(root, "UsesPatchNameList")) {
+    const name = attr(el, "Name");
+    if (!listNames.has(name) && !external.has(name)) report("error", el.line, `UsesPatchNameList "${name}": no PatchNameList with that name`);
+  }
+
+  for (const el of findAll(root, "PatchBankNameRef")) {
+    const name = attr(el, "Name");
+    if (!bankNames.has(name)) report("error", el.line, `PatchBankNameRef "${name}": no PatchBank with that name`);
+  }
+
+  for (const el of findAll(root, "UsesNoteNameList")) {
+    const name = attr(el, "Name");
+    if (!noteListNames.has(name)) report("warning", el.line, `UsesNoteNameList "${name}": no NoteNameList with that name`);
+  }
+
+  // Banques
+  for (const bank of banks) {
+    const name = attr(bank, "Name") ?? "Bank";
+
+    // Même ordre que le parser: UsesPatchNameList, liste imbriquée, puis nom de la banque
+    const uses = bank.children.find(c => c.name === "UsesPatchNameList");
+    const embedded = bank.children.find(c => c.name === "PatchNameList");
+    const listName = (uses && attr(uses, "Name")) ?? (embedded && attr(embedded, "Name")) ?? name;
+
+    const hasPatches = findAll(bank, "Patch").length || filledLists.has(listName) || external.has(listName);
+    if (!hasPatches && !uses) report("warning", bank.line, `PatchBank "${name}": no patches (PatchNameList "${listName}" not found or empty)`);
+
+    if (banks.length > 1 && !hasBankSelect(bank)) {
+      report("warning", bank.line, `PatchBank "${name}": no bank select (CC0/CC32)`);
+    }
+  }
+
+  // Patches
+  for (const list of patchLists) {
+    const listName = attr(list, "Name") ?? "(unnamed)";
+    const seen = new Map(); // program -> ligne
+
+    for (const p of findAll(list, "Patch")) {
+      const commands = findAll(p, "PatchMIDICommands")[0] || null;
+      const patchName = attr(p, "Name") ?? attr(p, "Number") ?? "?";
+
+      let program = numberOrNull(attr(p, "ProgramChange") ?? attr(p, "Program"));
+      if (program == null && commands) {
+        const pc = findAll(commands, "ProgramChange")[0];
+        program = pc ? numberOrNull(attr(pc, "Number")) : null;
+      }
+
+      if (program == null) {
+        if (attr(p, "Number") === "*" && commands) continue;
+        report("warning", p.line, `Patch "${patchName}" in "${listName}": no ProgramChange (patch dropped)`);
+        continue;
+      }
+
+      // Avec PatchMIDICommands, la banque réelle vient des commandes: pas de doublon à ce niveau
+      if (commands) continue;
+
+      if (seen.has(program)) {
+        report("warning", p.line, `Patch "${patchName}" in "${listName}": duplicate program ${program} (first at line ${seen.get(program)}, hidden)`);
+      }
+      else seen.set(program, p.line);
+    }
+  }
+
+  issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { file: filePath, issues };
+}
+
+/**
+ * Lint d'un fichier de la bibliothèque: contrôles complets pour .midnam,
+ * simple vérification "parse + banques non vides" pour .ins / .reabank.
+ */
+function lintLibraryFile(filePath, options = {}) {
+  if (path.extname(filePath).toLowerCase() === ".midnam") return lintMidnamFile(filePath, options);
+
+  const issues = [];
+  try {
+    const parsed = parseLibraryFile(filePath);
+    if (!parsed.banks.length) issues.push({ severity: "error", line: null, message: "No banks found", context: "" });
+  }
+  catch (e) {
+    issues.push({ severity: "error", line: null, message: e.message, context: "" });
+  }
+  return { file: filePath, issues };
+}
+
+// "Roland/JV-1080.midnam:52: error: ..." + ligne source
+function formatLintIssue(file, issue, { context = true } = {}) {
+  const where = issue.line ? `${file}:${issue.line}` : file;
+  const head = `${where}: ${issue.severity}: ${issue.message}`;
+  return (context && issue.context) ? `${head}\n    ${issue.context}` : head;
+}
+
+// ---------- Scanner XML (avec numéros de ligne) ----------
+
+// Arbre minimal { name, attrs, line, children }: fast-xml-parser ne donne pas les lignes des nœuds
+function scanElements(xml) {
+  const root = { name: "#root", attrs: {}, line: 0, children: [], parent: null };
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][\s\S]*?>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+  let cur = root;
+  let line = 1;
+  let last = 0;
+  let m;
+
+  while ((m = re.exec(xml))) {
+    for (let i = last; i < m.index; i++) {
+      const c = xml.charCodeAt(i);
+      if (c === 10 || (c === 13 && xml.charCodeAt(i + 1) !== 10)) line++;
+    }
+    last = m.index;
+
+    if (!m[2]) continue;
+
+    if (m[1]) {
+      let el = cur;
+      while (el !== root && el.name !== m[2]) el = el.parent;
+      if (el !== root) cur = el.parent;
+      continue;
+    }
+
+    const el = { name: m[2], attrs: parseAttrs(m[3]), line, children: [], parent: cur };
+    cur.children.push(el);
+    if (!m[4]) cur = el;
+  }
+
+  return root;
+}
+
+function parseAttrs(text) {
+  const out = {};
+  const re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(text || ""))) out[m[1]] = decodeEntities(m[2] ?? m[3]);
+  return out;
+}
+
+function decodeEntities(s) {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function findAll(el, name, out = []) {
+  for (const c of el.children) {
+    if (c.name === name) out.push(c);
+    findAll(c, name, out);
+  }
+  return out;
+}
+
+// Attributs: même tolérance de casse que le parser (Name / name)
+function attr(el, name) {
+  const v = el.attrs[name] ?? el.attrs[name.charAt(0).toLowerCase() + name.slice(1)];
+  return v == null ? null : String(v).trim();
+}
+
+// CC0/CC32 propres à la banque (hors PatchNameList et PatchMIDICommands des patches)
+function hasBankSelect(bank) {
+  const walk = (el) => {
+    for (const c of el.children) {
+      if (c.name === "PatchNameList" || c.name === "Patch") continue;
+      if (c.name === "ControlChange") {
+        const ctrl = numberOrNull(attr(c, "Control"));
+        if (ctrl === 0 || ctrl === 32) return true;
+      }
+      if (walk(c)) return true;
+    }
+    return false;
+  };
+  return walk(bank);
+}
+
+function numberOrNull(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+module.exports = { lintMidnamFile, lintLibraryFile, formatLintIssue };
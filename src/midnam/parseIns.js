@@ -0,0 +1,194 @@
+const path = require("path");
+const { readText } = require("./parseReabank");
+
+/**
+ * Parse un fichier Cakewalk .ins (Instrument Definitions) et retourne la même structure
+ * que parseMidnamFile: { deviceName, manufacturer, model, banks: [ { name, msb, lsb, patches } ], ... }
+ *
+ * Sections utilisées:
+ *   .Patch Names            [Liste] 0=Piano ... (BasedOn=Autre liste pour hériter)
+ *   .Note Names             [Kit] 36=Kick ...   (drum maps -> noteNameLists)
+ *   .Instrument Definitions [Synth] Patch[n]=Liste (n = MSB*128+LSB, "*" = sans bank select)
+ *                           BankSelMethod=0..3, Key[bank,prog]=Kit
+ *
+ * Un .ins peut définir plusieurs instruments: chacun devient un appareil (devices, un <Model> par instrument)
+ * et, s'il y en a plusieurs, ses banques portent l'indice de leur instrument (device), comme les MasterDeviceNames
+ * d'un .midnam. selectDeviceModel() en extrait un.
+ */
+function parseInsFile(filePath) {
+  const text = readText(filePath);
+  const sections = parseSections(text);
+
+  const patchLists = sections[".patch names"] || {};
+  const noteLists = sections[".note names"] || {};
+  const instruments = sections[".instrument definitions"] || {};
+
+  const names = Object.keys(instruments);
+  const instName = names[0] || path.basename(filePath, path.extname(filePath));
+
+  const noteNameLists = {};
+  const banks = [];
+
+  names.forEach((name, device) => {
+    for (const bank of instrumentBanks(instruments[name], patchLists, noteLists, noteNameLists)) {
+      if (names.length > 1) bank.device = device;
+      banks.push(bank);
+    }
+  });
+
+  return {
+    deviceName: instName,
+    manufacturer: "",
+    model: instName,
+    banks,
+    channelNameSets: [],
+    channelAssignments: {},
+    noteNameLists,
+    devices: names.map(name => ({ manufacturer: "", models: [name] })),
+  };
+}
+
+// Banques d'une section [Instrument]; les drum maps utilisées sont ajoutées à noteNameLists
+function instrumentBanks(inst, patchLists, noteLists, noteNameLists) {
+  const method = Number(lastValue(inst, "BankSelMethod") || 0);
+
+  const banks = [];
+  const bankNumbers = new Map(); // bank -> n de Patch[n] (null pour "*")
+
+  for (const { key, value } of inst) {
+    const pm = key.match(/^patch\[(\*|\d+)\]$/i);
+    if (!pm) continue;
+
+    const patches = resolvePatchList(patchLists, value, new Set());
+    if (!patches.length) continue;
+
+    const { msb, lsb } = bankSelectFromIns(pm[1], method);
+    const bank = { name: value, msb, lsb, patches: sortPatches(patches) };
+    banks.push(bank);
+    bankNumbers.set(bank, pm[1] === "*" ? null : Number(pm[1]));
+  }
+
+  // Key[bank,prog]=Kit: drum map par patch ("*" = tous)
+  for (const { key, value } of inst) {
+    const km = key.match(/^key\[(\*|\d+)\s*,\s*(\*|\d+)\]$/i);
+    if (!km) continue;
+
+    const notes = resolveNoteList(noteLists, value);
+    if (!notes.length) continue;
+    noteNameLists[value] = notes;
+
+    for (const bank of banks) {
+      if (km[1] !== "*" && bankNumbers.get(bank) !== Number(km[1])) continue;
+      for (const p of bank.patches) {
+        if (km[2] !== "*" && p.program !== Number(km[2])) continue;
+        p.noteNameList = value;
+      }
+    }
+  }
+
+  return banks;
+}
+
+// ---------- Extraction helpers ----------
+
+// { ".patch names": { "Liste": [ { key, value } ] }, ... } (noms de section en minuscules)
+function parseSections(text) {
+  const out = {};
+  let section = null;
+  let block = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/^\uFEFF/, "").trim();
+    if (!line || line.startsWith(";")) continue;
+
+    if (line.startsWith(".")) {
+      section = line.toLowerCase();
+      out[section] = out[section] || {};
+      block = null;
+      continue;
+    }
+
+    const bm = line.match(/^\[(.*)\]$/);
+    if (bm) {
+      if (!section) continue;
+      block = bm[1].trim();
+      out[section][block] = out[section][block] || [];
+      continue;
+    }
+
+    if (!section || block == null) continue;
+
+    const eq = line.indexOf("=");
+    if (eq < 0) continue;
+    out[section][block].push({ key: line.slice(0, eq).trim(), value: line.slice(eq + 1).trim() });
+  }
+
+  return out;
+}
+
+function lastValue(entries, key) {
+  let v = null;
+  for (const e of entries) if (e.key.toLowerCase() === key.toLowerCase()) v = e.value;
+  return v;
+}
+
+// BasedOn= : la liste hérite des noms de la liste de base, puis les surcharge
+function resolvePatchList(lists, name, seen) {
+  const entries = lists[name];
+  if (!entries || seen.has(name)) return [];
+  seen.add(name);
+
+  const byProgram = new Map();
+
+  const base = lastValue(entries, "BasedOn");
+  if (base) for (const p of resolvePatchList(lists, base, seen)) byProgram.set(p.program, p);
+
+  for (const { key, value } of entries) {
+    if (!/^\d+$/.test(key)) continue;
+    const program = Number(key);
+    if (program > 127) continue;
+    byProgram.set(program, { name: value || `Program ${program}`, program });
+  }
+
+  return [...byProgram.values()];
+}
+
+function resolveNoteList(lists, name, seen = new Set()) {
+  const entries = lists[name];
+  if (!entries || seen.has(name)) return [];
+  seen.add(name);
+
+  const byNote = new Map();
+
+  const base = lastValue(entries, "BasedOn");
+  if (base) for (const n of resolveNoteList(lists, base, seen)) byNote.set(n.note, n);
+
+  for (const { key, value } of entries) {
+    if (!/^\d+$/.test(key)) continue;
+    const note = Number(key);
+    if (note > 127) continue;
+    byNote.set(note, { note, name: value || `Note ${note}`, group: null });
+  }
+
+  return [...byNote.values()].sort((a, b) => a.note - b.note);
+}
+
+// Patch[n]: n = MSB*128 + LSB; BankSelMethod 0 = MSB+LSB, 1 = MSB seul, 2 = LSB seul, 3 = patch select
+function bankSelectFromIns(n, method) {
+  if (n === "*") return { msb: null, lsb: null };
+
+  const v = Number(n);
+  const msb = (v >> 7) & 0x7F;
+  const lsb = v & 0x7F;
+
+  if (method === 1) return { msb, lsb: null };
+  if (method === 2) return { msb: null, lsb };
+  if (method === 3) return { msb: null, lsb: null };
+  return { msb, lsb };
+}
+
+function sortPatches(patches) {
+  return patches.slice().sort((a, b) => a.program - b.program);
+}
+
+module.exports = { parseInsFile };
@@ -0,0 +1,30 @@
+const path = require("path");
+
+const { parseMidnamFile } = require("./parseMidnam");
+const { parseInsFile } = require("./parseIns");
+const { parseReabankFile } = require("./parseReabank");
+
+// Extension -> parser; tous retournent { deviceName, manufacturer, model, banks, ... }
+const PARSERS = {
+  ".midnam": parseMidnamFile,
+  ".ins": parseInsFile,
+  ".reabank": parseReabankFile,
+};
+
+const LIBRARY_EXTENSIONS = Object.freeze(Object.keys(PARSERS));
+
+function isLibraryFile(fileName) {
+  return LIBRARY_EXTENSIONS.includes(path.extname(String(fileName || "")).toLowerCase());
+}
+
+/**
+ * Parse un fichier de la bibliothèque (.midnam, Cakewalk .ins, REAPER .reabank) selon son extension.
+ * options est passé au parser (ex: { resolve: false } pour un .midnam brut).
+ */
+function parseLibraryFile(filePath, options = {}) {
+  const parse = PARSERS[path.extname(filePath).toLowerCase()];
+  if (!parse) throw new Error(`Format non supporté: ${path.basename(filePath)}`);
+  return parse(filePath, options);
+}
+
+module.exports = { parseLibraryFile, isLibraryFile, LIBRARY_EXTENSIONS };
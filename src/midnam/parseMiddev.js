@@ -0,0 +1,84 @@
+const fs = require("fs");
+const { XMLParser } = require("fast-xml-parser");
+
+/**
+ * Parse un fichier MIDIDeviceTypes (.middev): un <MIDIDeviceType> par appareil, avec sa réponse
+ * à l'Identity Request universelle (InquiryResponse) et sa plage de Device ID.
+ *
+ * [
+ *   {
+ *     manufacturer: "Roland", model: "JV-1080",
+ *     inquiry: { manufacturer: [0x41], family: [0x6A, 0x00], member: [0x00, 0x00] } | null,
+ *     deviceId: { min, max, default, base } | null
+ *   }
+ * ]
+ *
+ * Les octets sont gardés dans l'ordre de transmission (celui de l'Identity Reply).
+ */
+function parseMiddevFile(filePath) {
+  const xml = fs.readFileSync(filePath, "utf8");
+
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    allowBooleanAttributes: true,
+    trimValues: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+  });
+
+  const doc = parser.parse(xml);
+  const root = doc?.MIDIDeviceTypes || {};
+
+  return asArray(root.MIDIDeviceType).map(node => ({
+    manufacturer: String(node?.["@_Manufacturer"] ?? "").trim(),
+    model: String(node?.["@_Model"] ?? "").trim(),
+    inquiry: inquiryOf(asArray(node?.InquiryResponse)[0]),
+    deviceId: deviceIdOf(asArray(node?.DeviceID)[0]),
+  })).filter(d => d.model);
+}
+
+// "41" / "00 20 33" -> octets; null si absent ou invalide
+function hexBytes(text) {
+  const t = String(text ?? "").trim();
+  if (!t) return null;
+
+  const bytes = t.split(/\s+/).map(x => parseInt(x, 16));
+  return bytes.every(b => Number.isInteger(b) && b >= 0 && b <= 0x7F) ? bytes : null;
+}
+
+function inquiryOf(node) {
+  if (!node) return null;
+
+  const manufacturer = hexBytes(node["@_Manufacturer"]);
+  if (!manufacturer) return null;
+
+  return {
+    manufacturer,
+    family: hexBytes(node["@_Family"]) || [0, 0],
+    member: hexBytes(node["@_Member"]) || [0, 0],
+  };
+}
+
+function deviceIdOf(node) {
+  if (!node) return null;
+
+  const num = (v) => {
+    const n = parseInt(String(v ?? ""), 10);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  return {
+    min: num(node["@_Min"]),
+    max: num(node["@_Max"]),
+    default: num(node["@_Default"]),
+    base: num(node["@_Base"]),
+  };
+}
+
+function asArray(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+module.exports = { parseMiddevFile };
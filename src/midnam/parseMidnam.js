@@ -1,22 +1,52 @@
 const fs = require("fs");
 const { XMLParser } = require("fast-xml-parser");
+const { normalizeMessage } = require("../midi/messages");
+const { resolveMidnamModel } = require("./resolveMidnam");
+
+// Indice ajouté à chaque <PatchMIDICommands> avant le parse, et clé de sa liste ordonnée sur le nœud
+const COMMANDS_INDEX_ATTR = "@_MidistageCommandsIndex";
+const ORDERED_COMMANDS = Symbol("orderedCommands");
 
 /**
  * Parse un fichier .midnam (CoreMIDI) et retourne une structure normalisée:
  * {
  *   deviceName: string,
+ *   manufacturer: string,
+ *   model: string,
  *   banks: [
- *     { name, msb, lsb, patches: [ { name, program } ] }
- *   ]
+ *     { name, msb, lsb, patchNameList, patches: [ { name, program, noteNameList?, commands? } ] }
+ *   ],
+ *   noteNameLists: { "Drum Kit": [ { note, name, group } ] },
+ *   channelNameSets: [ { name, channels: [1..16], bankIndexes: [indices dans banks] } ],
+ *   channelAssignments: { "1": "Name Set 1", ... },
+ *   devices: [ { manufacturer, models, channelAssignments? } ],  // MasterDeviceNames
+ *   extending: [ { manufacturer, models } ]                      // ExtendingDeviceNames
  * }
  *
+ * Un fichier peut décrire plusieurs appareils (plusieurs MasterDeviceNames, ou plusieurs <Model> qui partagent
+ * les mêmes banques). Le modèle retourné les contient tous; selectDeviceModel() en extrait un.
+ * Avec plusieurs MasterDeviceNames, banques et ChannelNameSet portent l'indice de leur appareil (device).
+ *
  * Compatible avec les midnam où:
  * - les patches sont des <Patch ...> (cas Essence FM / K2600 / TR-Rack)
  * - MSB/LSB sont définis via <MIDICommands><ControlChange Control="0|32" Value="..."/>
- * - PatchNameList peut être imbriquée dans PatchBank OU déclarée ailleurs (nom identique)
+ * - PatchBank référence sa liste par <UsesPatchNameList Name="..."/>, l'imbrique, ou porte le même nom qu'une liste
+ * - ChannelNameSet inclut des banques par <PatchBankNameRef Name="..."/>
+ * - les banques sont regroupées par ChannelNameSet (AvailableForChannels / ChannelNameSetAssign)
+ * - les patches de batterie référencent une NoteNameList via <UsesNoteNameList Name="..."/>
+ * - un patch peut porter ses propres <PatchMIDICommands> (bank select + PC exacts): patch.commands
+ *
+ * Les références vers d'autres fichiers (ExtendingDeviceNames: cartes d'extension, appareil de base)
+ * sont résolues par options.lookup (voir resolveMidnam.js, fourni par l'index de la bibliothèque).
+ * options.resolve = false retourne le modèle brut (banques vides gardées, listes des extensions incluses).
  */
-function parseMidnamFile(filePath) {
-  const xml = fs.readFileSync(filePath, "utf8");
+function parseMidnamFile(filePath, options = {}) {
+  const raw = parseMidnamDocument(filePath);
+  return options.resolve === false ? raw : resolveMidnamModel(raw, options.lookup || null);
+}
+
+function parseMidnamDocument(filePath) {
+  const { xml, commandBlocks } = tagPatchMidiCommands(fs.readFileSync(filePath, "utf8"));
 
   const parser = new XMLParser({
     ignoreAttributes: false,
@@ -29,9 +59,28 @@ function parseMidnamFile(filePath) {
 
   const doc = parser.parse(xml);
 
-  const manufacturer = findFirstText(doc, ["Manufacturer"]) || "";
-  const model = findFirstText(doc, ["Model"]) || "";
-  const deviceName = (manufacturer && model) ? `${manufacturer} ${model}` : (model || manufacturer || "Unknown MIDNAM");
+  // Contenu ordonné de chaque <PatchMIDICommands>, rattaché à son nœud
+  const commandNodes = [];
+  collectNodesByName(doc, "PatchMIDICommands", commandNodes);
+  for (const node of commandNodes) {
+    const i = node?.[COMMANDS_INDEX_ATTR];
+    if (i != null && commandBlocks[i]) node[ORDERED_COMMANDS] = commandBlocks[i];
+  }
+
+  // Appareils décrits (MasterDeviceNames) et appareils étendus (ExtendingDeviceNames)
+  const masterNodes = [];
+  collectNodesByName(doc, "MasterDeviceNames", masterNodes);
+  const devices = masterNodes.map(deviceHeader);
+  const extendingNodes = [];
+  collectNodesByName(doc, "ExtendingDeviceNames", extendingNodes);
+  const extending = extendingNodes.map(node => Object.assign(deviceHeader(node), {
+    patchNameLists: extractNamedPatchNameLists(node),
+  }));
+
+  const first = devices[0] || extending[0] || null;
+  const manufacturer = first?.manufacturer || findFirstText(doc, ["Manufacturer"]) || "";
+  const model = first?.models[0] || findFirstText(doc, ["Model"]) || "";
+  const deviceName = deviceNameOf(manufacturer, model);
 
   // Collecte des PatchBank et PatchNameList
   const patchBanks = [];
@@ -40,56 +89,300 @@ function parseMidnamFile(filePath) {
   const patchNameLists = [];
   collectNodesByName(doc, "PatchNameList", patchNameLists);
 
+  // PatchNameList nommées du fichier (la première l'emporte), cibles de UsesPatchNameList
+  const listsByName = new Map();
+  for (const pl of patchNameLists) {
+    const name = pl?.["@_Name"] ?? pl?.["@_name"];
+    if (name != null && !listsByName.has(String(name))) listsByName.set(String(name), pl);
+  }
+
+  // Banques vides gardées: leur liste peut venir d'un autre fichier (ExtendingDeviceNames)
   const banks = [];
+  const bankByNode = new Map(); // PatchBank -> index dans banks (sérialisable, cf. index/cache)
 
   for (const bankNode of patchBanks) {
-    const bankName = bankNode?.["@_Name"] ?? bankNode?.["@_name"] ?? "Bank";
-
-    // MSB/LSB: via MIDICommands/ControlChange
-    const { msb, lsb } = extractBankSelectFromMidiCommands(bankNode);
+    bankByNode.set(bankNode, banks.length);
+    banks.push(bankNodeToBank(bankNode, listsByName));
+  }
 
-    // Patches: d'abord PatchNameList imbriquée, sinon PatchNameList globale de même nom
-    let patches = extractPatchesFromEmbeddedPatchNameLists(bankNode);
+  // ChannelNameSet: banques disponibles par canal (ex: kits de batterie seulement sur CH10)
+  let channelNameSets;
+  const channelAssignments = extractChannelAssignments(doc);
 
-    if (!patches.length) {
-      const pl = findPatchNameListByName(patchNameLists, bankName);
-      if (pl) patches = extractPatchesFromPatchNameList(pl);
-    }
+  if (masterNodes.length > 1) {
+    // Plusieurs appareils: chaque banque / set / assignation reste rattaché à son MasterDeviceNames
+    channelNameSets = [];
+    masterNodes.forEach((node, device) => {
+      for (const set of extractChannelNameSets(node, bankByNode, banks)) channelNameSets.push(Object.assign(set, { device }));
 
-    // Fallback: si le bankNode contient directement des Patch (rare)
-    if (!patches.length) patches = extractPatchesFromPatchContainer(bankNode);
+      const bankNodes = [];
+      collectNodesByName(node, "PatchBank", bankNodes);
+      for (const b of bankNodes) banks[bankByNode.get(b)].device = device;
 
-    if (patches.length) {
-      banks.push({
-        name: bankName,
-        msb,
-        lsb,
-        patches: dedupeAndSortPatches(patches),
-      });
-    }
+      devices[device].channelAssignments = extractChannelAssignments(node);
+    });
   }
+  else channelNameSets = extractChannelNameSets(doc, bankByNode, banks);
+  const noteNameLists = extractNoteNameLists(doc);
 
   // Fallback si aucun PatchBank n’a produit de banques, mais on a des PatchNameList
-  if (!banks.length && patchNameLists.length) {
+  // (hors fichiers d'extension: leurs listes sont résolues contre l'appareil de base)
+  if (!banks.some(b => b.patches.length) && !extending.length && patchNameLists.length) {
+    banks.length = 0;
+    for (const s of channelNameSets) s.bankIndexes = [];
+
     for (const pl of patchNameLists) {
       const name = pl?.["@_Name"] ?? pl?.["@_name"] ?? "Patches";
       const patches = extractPatchesFromPatchNameList(pl);
       if (patches.length) {
         banks.push({
-          name,
+          name: String(name),
           msb: null,
           lsb: null,
+          patchNameList: String(name),
           patches: dedupeAndSortPatches(patches),
         });
       }
     }
   }
 
-  return { deviceName, banks };
+  return { deviceName, manufacturer, model, banks, channelNameSets, channelAssignments, noteNameLists, devices, extending };
+}
+
+/**
+ * Modèles décrits par un fichier: [ { manufacturer, model, deviceName } ], un par <Model> de chaque MasterDeviceNames.
+ */
+function deviceModels(midnam) {
+  const out = [];
+  for (const d of midnam?.devices || []) {
+    for (const model of d.models) out.push({ manufacturer: d.manufacturer, model, deviceName: deviceNameOf(d.manufacturer, model) });
+  }
+  return out;
+}
+
+/**
+ * Restreint un modèle parsé à un appareil du fichier (par nom de <Model>; défaut: le premier).
+ * Banques et ChannelNameSet des autres MasterDeviceNames sont retirés, nom d'appareil ajusté.
+ */
+function selectDeviceModel(midnam, modelName = null) {
+  const devices = midnam?.devices || [];
+  if (!devices.length) return midnam;
+
+  let device = 0;
+  let model = devices[0].models[0] ?? midnam.model;
+
+  if (modelName != null) {
+    const i = devices.findIndex(d => d.models.includes(String(modelName)));
+    if (i >= 0) {
+      device = i;
+      model = String(modelName);
+    }
+  }
+
+  const d = devices[device];
+  const manufacturer = d.manufacturer || midnam.manufacturer;
+  const out = Object.assign({}, midnam, {
+    manufacturer,
+    model,
+    deviceName: deviceNameOf(manufacturer, model),
+  });
+
+  if (devices.length > 1) {
+    const remap = new Map();
+    const banks = [];
+    midnam.banks.forEach((b, i) => {
+      if (b.device != null && b.device !== device) return;
+      remap.set(i, banks.length);
+      banks.push(b);
+    });
+
+    out.banks = banks;
+    out.channelNameSets = (midnam.channelNameSets || [])
+      .filter(s => s.device == null || s.device === device)
+      .map(s => Object.assign({}, s, { bankIndexes: s.bankIndexes.map(i => remap.get(i)).filter(i => i != null) }));
+    out.channelAssignments = d.channelAssignments || {};
+  }
+
+  return out;
+}
+
+/**
+ * Banques valides pour un canal (1..16):
+ * - ChannelNameSetAssign explicite pour ce canal, sinon
+ * - tous les ChannelNameSet dont AvailableForChannels inclut le canal, sinon
+ * - toutes les banques (fichiers sans ChannelNameSet, ou aucun set pour ce canal)
+ */
+function banksForChannel(midnam, channel) {
+  const all = midnam?.banks || [];
+  const sets = midnam?.channelNameSets || [];
+  const ch = Number(channel);
+  if (!sets.length || !Number.isInteger(ch) || ch < 1 || ch > 16) return all;
+
+  const assigned = midnam.channelAssignments?.[ch];
+  let matching = assigned ? sets.filter(s => s.name === assigned) : [];
+  if (!matching.length) matching = sets.filter(s => s.channels.includes(ch));
+
+  const idx = [];
+  for (const s of matching) {
+    for (const i of s.bankIndexes) if (!idx.includes(i) && all[i]) idx.push(i);
+  }
+
+  return idx.length ? idx.sort((a, b) => a - b).map(i => all[i]) : all;
+}
+
+// Nom du ChannelNameSet utilisé pour un canal (affichage), ou null
+function channelNameSetForChannel(midnam, channel) {
+  const sets = midnam?.channelNameSets || [];
+  const ch = Number(channel);
+  if (!sets.length) return null;
+
+  const assigned = midnam.channelAssignments?.[ch];
+  if (assigned && sets.some(s => s.name === assigned)) return assigned;
+
+  const s = sets.find(x => x.channels.includes(ch));
+  return s ? s.name : null;
+}
+
+/**
+ * Drum map d'un patch: sa NoteNameList (UsesNoteNameList), sinon celle du ChannelNameSet du canal.
+ * Retourne [ { note, name, group } ] ou [] si aucune.
+ */
+function noteNamesForPatch(midnam, patch, channel = null) {
+  const lists = midnam?.noteNameLists || {};
+
+  let listName = patch?.noteNameList ?? null;
+  if (listName == null && channel != null) {
+    const setName = channelNameSetForChannel(midnam, channel);
+    const set = (midnam?.channelNameSets || []).find(s => s.name === setName);
+    listName = set?.noteNameList ?? null;
+  }
+
+  return (listName != null && lists[listName]) ? lists[listName] : [];
 }
 
 // ---------- Extraction helpers ----------
 
+function bankNodeToBank(bankNode, listsByName) {
+  const bankName = String(bankNode?.["@_Name"] ?? bankNode?.["@_name"] ?? "Bank");
+
+  // MSB/LSB: via MIDICommands/ControlChange
+  const { msb, lsb } = extractBankSelectFromMidiCommands(bankNode);
+
+  // Liste référencée: UsesPatchNameList, sinon nom de la liste imbriquée, sinon nom de la banque
+  const uses = firstChild(bankNode, "UsesPatchNameList");
+  const embedded = firstChild(bankNode, "PatchNameList");
+  const listName = String(
+    uses?.["@_Name"] ?? uses?.["@_name"] ??
+    embedded?.["@_Name"] ?? embedded?.["@_name"] ??
+    bankName
+  );
+
+  // Patches: d'abord PatchNameList imbriquée, sinon PatchNameList du fichier référencée
+  let patches = extractPatchesFromEmbeddedPatchNameLists(bankNode);
+
+  if (!patches.length && listsByName.has(listName)) patches = extractPatchesFromPatchNameList(listsByName.get(listName));
+
+  // Fallback: si le bankNode contient directement des Patch (rare)
+  if (!patches.length) patches = extractPatchesFromPatchContainer(bankNode);
+
+  return {
+    name: bankName,
+    msb,
+    lsb,
+    patchNameList: listName,
+    patches: dedupeAndSortPatches(patches),
+  };
+}
+
+function extractChannelNameSets(doc, bankByNode, banks) {
+  const setNodes = [];
+  collectNodesByName(doc, "ChannelNameSet", setNodes);
+
+  const sets = [];
+  for (const node of setNodes) {
+    const name = node?.["@_Name"] ?? node?.["@_name"];
+    if (name == null) continue;
+
+    const availNodes = [];
+    collectNodesByName(node?.AvailableForChannels, "AvailableChannel", availNodes);
+
+    // Sans AvailableForChannels: disponible partout
+    const channels = availNodes.length
+      ? availNodes
+        .filter(a => isTrue(a?.["@_Available"] ?? a?.["@_available"]))
+        .map(a => numberOrNull(a?.["@_Channel"] ?? a?.["@_channel"]))
+        .filter(c => c != null && c >= 1 && c <= 16)
+      : Array.from({ length: 16 }, (_, i) => i + 1);
+
+    const bankNodes = [];
+    collectNodesByName(node, "PatchBank", bankNodes);
+    const bankIndexes = bankNodes.map(b => bankByNode.get(b)).filter(i => i != null);
+
+    // PatchBankNameRef: banque définie ailleurs dans le fichier, référencée par son nom
+    const refs = [];
+    collectNodesByName(node, "PatchBankNameRef", refs);
+    for (const ref of refs) {
+      const refName = ref?.["@_Name"] ?? ref?.["@_name"];
+      const i = banks.findIndex(b => b.name === String(refName));
+      if (i >= 0 && !bankIndexes.includes(i)) bankIndexes.push(i);
+    }
+
+    const set = { name: String(name), channels: [...new Set(channels)].sort((a, b) => a - b), bankIndexes };
+
+    // UsesNoteNameList au niveau du set = drum map par défaut de ses patches
+    const uses = node?.UsesNoteNameList;
+    const usesName = (Array.isArray(uses) ? uses[0] : uses)?.["@_Name"];
+    if (usesName != null) set.noteNameList = String(usesName);
+
+    sets.push(set);
+  }
+
+  return sets;
+}
+
+function extractNoteNameLists(doc) {
+  const listNodes = [];
+  collectNodesByName(doc, "NoteNameList", listNodes);
+
+  const out = {};
+  for (const node of listNodes) {
+    const name = node?.["@_Name"] ?? node?.["@_name"];
+    if (name == null || out[name]) continue;
+
+    const notes = [];
+    const push = (n, group) => {
+      const note = numberOrNull(n?.["@_Number"] ?? n?.["@_number"]);
+      if (note == null || note < 0 || note > 127) return;
+      notes.push({ note, name: String(n?.["@_Name"] ?? n?.["@_name"] ?? `Note ${note}`), group });
+    };
+
+    for (const n of asArray(node?.Note)) push(n, null);
+    for (const g of asArray(node?.NoteGroup)) {
+      const group = g?.["@_Name"] ?? g?.["@_name"] ?? null;
+      for (const n of asArray(g?.Note)) push(n, group == null ? null : String(group));
+    }
+
+    notes.sort((a, b) => a.note - b.note);
+    out[String(name)] = notes;
+  }
+  return out;
+}
+
+function extractChannelAssignments(doc) {
+  const nodes = [];
+  collectNodesByName(doc, "ChannelNameSetAssign", nodes);
+
+  const out = {};
+  for (const n of nodes) {
+    const ch = numberOrNull(n?.["@_Channel"] ?? n?.["@_channel"]);
+    const set = n?.["@_NameSet"] ?? n?.["@_nameSet"];
+    if (ch == null || ch < 1 || ch > 16 || set == null) continue;
+    if (out[ch] == null) out[ch] = String(set);
+  }
+  return out;
+}
+
+
 function extractBankSelectFromMidiCommands(bankNode) {
   // Cherche ControlChange Control="0" (MSB) et Control="32" (LSB)
   const ccNodes = [];
@@ -117,8 +410,26 @@ function extractPatchesFromEmbeddedPatchNameLists(bankNode) {
   return patches;
 }
 
-function findPatchNameListByName(allLists, name) {
-  return allLists.find(pl => (pl?.["@_Name"] ?? pl?.["@_name"]) === name);
+// { "Nom": [patches] } des PatchNameList d'un nœud (ExtendingDeviceNames)
+function extractNamedPatchNameLists(node) {
+  const lists = [];
+  collectNodesByName(node, "PatchNameList", lists);
+
+  const out = {};
+  for (const pl of lists) {
+    const name = pl?.["@_Name"] ?? pl?.["@_name"];
+    if (name == null || out[String(name)]) continue;
+    out[String(name)] = dedupeAndSortPatches(extractPatchesFromPatchNameList(pl));
+  }
+  return out;
+}
+
+// { manufacturer, models } d'un MasterDeviceNames / ExtendingDeviceNames
+function deviceHeader(node) {
+  return {
+    manufacturer: textValues(node?.Manufacturer)[0] || "",
+    models: textValues(node?.Model),
+  };
 }
 
 function extractPatchesFromPatchNameList(patchNameListNode) {
@@ -144,8 +455,14 @@ function extractPatchesFromPatchContainer(node) {
 
 function patchNodeToPatch(n) {
   // <Patch Number="A00" Name="Acoustic Piano" ProgramChange="1" />
+  // ou <Patch Number="1" Name="Jaco"><PatchMIDICommands><ControlChange .../><ProgramChange Number="32"/></PatchMIDICommands></Patch>
   const name = n?.["@_Name"] ?? n?.["@_name"] ?? null;
 
+  const commands = extractPatchMidiCommands(n);
+
+  // Number="*": lignes de commentaire des conversions FreeMIDI, pas de vrais patches
+  if (commands && String(n?.["@_Number"]).trim() === "*") return null;
+
   let program =
     n?.["@_ProgramChange"] ??
     n?.["@_programChange"] ??
@@ -154,11 +471,92 @@ function patchNodeToPatch(n) {
     n?.["@_PatchNumber"] ??
     n?.["@_patchNumber"];
 
+  // Sans attribut: le Program Change des PatchMIDICommands (valeur MIDI brute)
+  if (program == null && commands) {
+    const pc = commands.find(c => c.type === "pc");
+    if (pc) program = pc.program;
+  }
+
   if (program == null) return null;
   program = Number(program);
   if (!Number.isFinite(program)) return null;
 
-  return { name: String(name ?? `Program ${program}`), program };
+  const patch = { name: String(name ?? `Program ${program}`), program };
+  if (commands) patch.commands = commands;
+
+  const uses = Array.isArray(n?.UsesNoteNameList) ? n.UsesNoteNameList[0] : n?.UsesNoteNameList;
+  const noteList = uses?.["@_Name"] ?? uses?.["@_name"];
+  if (noteList != null) patch.noteNameList = String(noteList);
+
+  return patch;
+}
+
+// <PatchMIDICommands>: liste de messages (format messages.js) envoyée telle quelle au rappel,
+// dans l'ordre du fichier (voir tagPatchMidiCommands)
+function extractPatchMidiCommands(n) {
+  const block = Array.isArray(n?.PatchMIDICommands) ? n.PatchMIDICommands[0] : n?.PatchMIDICommands;
+  if (!block || typeof block !== "object") return null;
+
+  const elements = block[ORDERED_COMMANDS] || [
+    ...asArray(block.SysEx).map(x => ({ tag: "SysEx", attrs: {}, text: (typeof x === "object") ? x?.["#text"] : x })),
+    ...asArray(block.ControlChange).map(x => ({ tag: "ControlChange", attrs: x || {}, text: "" })),
+    ...asArray(block.ProgramChange).map(x => ({ tag: "ProgramChange", attrs: x || {}, text: "" })),
+  ];
+
+  const commands = elements.map(commandOfElement).filter(Boolean);
+  return commands.length ? commands : null;
+}
+
+function commandOfElement({ tag, attrs, text }) {
+  switch (tag) {
+    case "SysEx":
+      return normalizeMessage({ type: "raw", bytes: String(text ?? "") });
+    case "ControlChange":
+      return normalizeMessage({
+        type: "cc",
+        cc: attrs["@_Control"] ?? attrs["@_control"],
+        value: attrs["@_Value"] ?? attrs["@_value"],
+      });
+    case "ProgramChange":
+      return normalizeMessage({ type: "pc", program: attrs["@_Number"] ?? attrs["@_number"] });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Le parser principal (sans preserveOrder) regroupe les enfants par nom d'élément et perd l'entrelacement
+ * SysEx / ControlChange / ProgramChange. Chaque bloc <PatchMIDICommands> est donc relu dans l'ordre du document
+ * et reçoit un attribut d'indice qui permet de retrouver cette liste ordonnée depuis son nœud.
+ */
+function tagPatchMidiCommands(text) {
+  const commandBlocks = [];
+  const ordered = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    trimValues: true,
+    parseTagValue: false,
+    parseAttributeValue: true,
+  });
+
+  const xml = text.replace(/<PatchMIDICommands(\s[^>]*?)?(?<!\/)>([\s\S]*?)<\/PatchMIDICommands\s*>/g, (all, attrs, inner) => {
+    let elements = [];
+    try {
+      elements = ordered.parse(inner).map(node => {
+        const tag = Object.keys(node).find(k => k !== ":@");
+        const text = asArray(node[tag]).map(c => c?.["#text"] ?? "").join(" ");
+        return { tag, attrs: node[":@"] || {}, text };
+      });
+    } catch {
+      return all;
+    }
+
+    commandBlocks.push(elements);
+    return `<PatchMIDICommands${attrs || ""} ${COMMANDS_INDEX_ATTR.slice(2)}="${commandBlocks.length - 1}">${inner}</PatchMIDICommands>`;
+  });
+
+  return { xml, commandBlocks };
 }
 
 function patchNameNodeToPatch(n) {
@@ -184,15 +582,60 @@ function dedupeAndSortPatches(patches) {
   const seen = new Set();
   const out = [];
   for (const p of patches) {
-    const key = `${p.program}::${p.name}`;
+    const key = `${commandsBankKey(p)}::${p.program}::${p.name}`;
     if (seen.has(key)) continue;
     seen.add(key);
     out.push(p);
   }
-  out.sort((a, b) => a.program - b.program);
+  // Une PatchNameList peut couvrir plusieurs bank selects: on trie d'abord par banque
+  out.sort((a, b) => (commandsBankKey(a) - commandsBankKey(b)) || (a.program - b.program));
   return out;
 }
 
+// MSB*128+LSB des PatchMIDICommands (0 sans commandes), pour trier/dédoublonner
+function commandsBankKey(p) {
+  if (!p.commands?.length) return 0;
+  const { msb, lsb } = patchBankSelect(p, null);
+  return msb * 128 + lsb;
+}
+
+/**
+ * Bank select effectif d'un patch: CC0/CC32 de ses PatchMIDICommands (0 si absent, comme commandsBankKey),
+ * sinon MSB/LSB de la banque. Deux patches d'une même banque au même program se distinguent par ce couple.
+ */
+function patchBankSelect(patch, bank) {
+  if (!Array.isArray(patch?.commands) || !patch.commands.length) return { msb: bank?.msb ?? null, lsb: bank?.lsb ?? null };
+  const cc = (n) => patch.commands.find(c => c.type === "cc" && c.cc === n)?.value ?? 0;
+  return { msb: cc(0), lsb: cc(32) };
+}
+
+function deviceNameOf(manufacturer, model) {
+  return (manufacturer && model) ? `${manufacturer} ${model}` : (model || manufacturer || "Unknown MIDNAM");
+}
+
+// Textes d'éléments simples (<Model>2000</Model> est parsé en nombre)
+function textValues(v) {
+  return asArray(v)
+    .map(x => (x != null && typeof x === "object") ? x["#text"] : x)
+    .filter(x => x != null && String(x).trim())
+    .map(x => String(x).trim());
+}
+
+// Premier enfant direct d'un nœud (pas de recherche en profondeur)
+function firstChild(node, name) {
+  const v = node?.[name];
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function asArray(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function isTrue(v) {
+  return v === true || String(v).trim().toLowerCase() === "true";
+}
+
 function numberOrNull(v) {
   if (v == null) return null;
   const n = Number(v);
@@ -238,4 +681,12 @@ function findFirstText(obj, keys) {
   return found;
 }
 
-module.exports = { parseMidnamFile };
+module.exports = {
+  parseMidnamFile,
+  deviceModels,
+  selectDeviceModel,
+  banksForChannel,
+  channelNameSetForChannel,
+  noteNamesForPatch,
+  patchBankSelect,
+};
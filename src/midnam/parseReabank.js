@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Parse un fichier REAPER .reabank et retourne la même structure que parseMidnamFile:
+ * { deviceName, manufacturer, model, banks: [ { name, msb, lsb, patches: [ { name, program } ] } ], ... }
+ *
+ * Format:
+ *   // commentaire
+ *   Bank 0 1 Nom de la banque      (Bank <MSB> <LSB> <nom>, "*" = pas de bank select)
+ *   0 Acoustic Piano               (<program> <nom>)
+ */
+function parseReabankFile(filePath) {
+  const text = readText(filePath);
+  const name = path.basename(filePath, path.extname(filePath));
+
+  const banks = [];
+  let current = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/^\uFEFF/, "").trim();
+    if (!line || line.startsWith("//") || line.startsWith("#")) continue;
+
+    const b = line.match(/^bank\s+(\S+)\s+(\S+)\s*(.*)$/i);
+    if (b) {
+      current = {
+        name: b[3].trim() || `Bank ${b[1]}/${b[2]}`,
+        msb: byteOrNull(b[1]),
+        lsb: byteOrNull(b[2]),
+        patches: [],
+      };
+      banks.push(current);
+      continue;
+    }
+
+    const p = line.match(/^(\d+)\s+(.*)$/);
+    if (p && current) {
+      const program = Number(p[1]);
+      if (program > 127) continue;
+      current.patches.push({ name: p[2].trim() || `Program ${program}`, program });
+    }
+  }
+
+  return {
+    deviceName: name,
+    manufacturer: "",
+    model: name,
+    banks: banks
+      .filter(b => b.patches.length)
+      .map(b => Object.assign(b, { patches: sortPatches(b.patches) })),
+    channelNameSets: [],
+    channelAssignments: {},
+    noteNameLists: {},
+  };
+}
+
+// ---------- Helpers ----------
+
+function readText(filePath) {
+  const buf = fs.readFileSync(filePath);
+  const utf8 = buf.toString("utf8");
+  // Fichiers Windows anciens: souvent en latin1
+  return utf8.includes("\uFFFD") ? buf.toString("latin1") : utf8;
+}
+
+function byteOrNull(v) {
+  if (v == null || !/^\d+$/.test(String(v))) return null;
+  const n = Number(v);
+  return n >= 0 && n <= 127 ? n : null;
+}
+
+function sortPatches(patches) {
+  const seen = new Set();
+  const out = [];
+  for (const p of patches) {
+    const key = `${p.program}::${p.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(p);
+  }
+  return out.sort((a, b) => a.program - b.program);
+}
+
+module.exports = { parseReabankFile, readText };
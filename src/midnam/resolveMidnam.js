@@ -0,0 +1,140 @@
+/**
+ * Résolution des références entre fichiers d'un modèle .midnam brut (parseMidnamFile(..., { resolve: false })):
+ *
+ * - banque vide (<PatchNameList/>, UsesPatchNameList sans cible dans le fichier): PatchNameList de même nom
+ *   déclarée par un ExtendingDeviceNames visant le même Manufacturer/Model (cartes ROM, autres fichiers)
+ * - fichier d'extension seul (ExtendingDeviceNames sans MasterDeviceNames): ses listes deviennent des banques
+ *   qui héritent du nom et du bank select de la banque correspondante de l'appareil de base. Une liste sans
+ *   banque de même nom est placée dans chaque emplacement vide de l'appareil de base (banque sans patches, avec
+ *   bank select, dont aucune extension ne fournit la liste, ex: "Expansion Slot A/B" du QS6), une banque par
+ *   emplacement. Sans emplacement (ou sans appareil de base), la banque est gardée pour les noms mais marquée
+ *   sendable: false (bank select inconnu).
+ *
+ * Les banques restées vides sont ensuite retirées et les ChannelNameSet réindexés.
+ *
+ * lookup (optionnel, fourni par l'index de la bibliothèque; sans lookup: résolution interne au fichier seulement):
+ *   extensionLists(manufacturer, model) -> [ { file, patchNameLists: { "Nom": [patches] } } ]
+ *   baseDevice(manufacturer, models)    -> { file, model: modèle brut de l'appareil de base } ou null
+ */
+function resolveMidnamModel(raw, lookup = null) {
+  if (!raw || !Array.isArray(raw.banks)) return raw;
+
+  const devices = raw.devices || [];
+  const extending = raw.extending || [];
+
+  let banks = raw.banks.map(b => Object.assign({}, b));
+  let sets = (raw.channelNameSets || []).map(s => Object.assign({}, s, { bankIndexes: s.bankIndexes.slice() }));
+  let baseFile = null;
+
+  // Banques vides de l'appareil: listes des fichiers d'extension
+  if (lookup && devices.length && banks.some(b => !b.patches.length)) {
+    const external = [];
+    for (const d of devices) {
+      for (const m of d.models) external.push(...lookup.extensionLists(d.manufacturer, m));
+    }
+
+    for (const b of banks) {
+      if (b.patches.length) continue;
+      const found = external.find(x => x.patchNameLists[b.patchNameList]?.length);
+      if (!found) continue;
+      b.patches = found.patchNameLists[b.patchNameList].map(p => Object.assign({}, p));
+      b.extensionFile = found.file;
+    }
+  }
+
+  // Fichier d'extension seul: une banque par liste, bank select hérité de l'appareil de base
+  if (!devices.length && extending.length) {
+    banks = [];
+    sets = [];
+
+    for (const block of extending) {
+      const base = lookup ? lookup.baseDevice(block.manufacturer, block.models) : null;
+      if (base && !baseFile) baseFile = base.file;
+
+      const lists = block.patchNameLists || {};
+      const baseBanks = base ? base.model.banks : [];
+      const slots = base ? emptySlots(base.model, lookup) : [];
+
+      for (const [listName, patches] of Object.entries(lists)) {
+        if (!patches.length) continue;
+        const copy = () => patches.map(p => Object.assign({}, p));
+
+        const baseBank = baseBanks.find(b => b.patchNameList === listName);
+        if (baseBank) {
+          banks.push({ name: baseBank.name, msb: baseBank.msb, lsb: baseBank.lsb, patchNameList: listName, patches: copy() });
+          continue;
+        }
+
+        if (!slots.length) {
+          banks.push({ name: listName, msb: null, lsb: null, patchNameList: listName, patches: copy(), sendable: false });
+          continue;
+        }
+
+        for (const slot of slots) {
+          banks.push({
+            name: slots.length > 1 ? `${listName} (${slot.name})` : listName,
+            msb: slot.msb,
+            lsb: slot.lsb,
+            patchNameList: listName,
+            patches: copy(),
+          });
+        }
+      }
+    }
+  }
+
+  // Banques vides retirées, indices des sets remappés
+  const remap = new Map();
+  const kept = [];
+  banks.forEach((b, i) => {
+    if (!b.patches.length) return;
+    remap.set(i, kept.length);
+    kept.push(b);
+  });
+
+  for (const s of sets) s.bankIndexes = s.bankIndexes.map(i => remap.get(i)).filter(i => i != null);
+
+  const out = Object.assign({}, raw, {
+    banks: kept,
+    channelNameSets: sets,
+    devices: devices.map(d => Object.assign({}, d, { models: d.models.slice() })),
+    extending: extending.map(d => ({ manufacturer: d.manufacturer, models: d.models.slice() })),
+  });
+  if (baseFile) out.baseFile = baseFile;
+
+  return out;
+}
+
+// Emplacements génériques de l'appareil de base: banques vides avec bank select qu'aucune extension ne nomme
+// (les banques vides d'une carte précise, ex: "Protozoa Bank 0" du Proteus 2000, ont leur propre fichier)
+function emptySlots(baseModel, lookup) {
+  const claimed = new Set();
+  for (const d of baseModel.devices || []) {
+    for (const m of d.models) {
+      for (const x of lookup.extensionLists(d.manufacturer, m)) Object.keys(x.patchNameLists).forEach(n => claimed.add(n));
+    }
+  }
+
+  return baseModel.banks.filter(b => !b.patches.length && (b.msb != null || b.lsb != null) && !claimed.has(b.patchNameList));
+}
+
+/**
+ * Le modèle brut a-t-il besoin du reste de la bibliothèque (banques vides, fichier d'extension seul)?
+ */
+function needsLibrary(raw) {
+  if (!raw || !Array.isArray(raw.banks)) return false;
+  const devices = raw.devices || [];
+  const extending = raw.extending || [];
+  return (!devices.length && extending.length > 0) || (devices.length > 0 && raw.banks.some(b => !b.patches.length));
+}
+
+// Comparaison Manufacturer/Model tolérante (casse, espaces)
+function sameName(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function headerMatches(header, manufacturer, model) {
+  return sameName(header.manufacturer, manufacturer) && header.models.some(m => sameName(m, model));
+}
+
+module.exports = { resolveMidnamModel, needsLibrary, headerMatches };
@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const { XMLBuilder, XMLValidator } = require("fast-xml-parser");
+const { normalizeMessageList } = require("../midi/messages");
+
+const DOCTYPE =
+  '<!DOCTYPE MIDINameDocument PUBLIC "-//MIDI Manufacturers Association//DTD MIDINameDocument 0.7//EN" ' +
+  '"http://www.sonosphere.com/dtds/MIDINameDocument.dtd">';
+
+const ALL_CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1);
+
+/**
+ * Construit un MIDINameDocument (XML) depuis un modèle parsé (parseMidnamFile, .ins, .reabank, overlays):
+ * { manufacturer, model, banks: [ { name, msb, lsb, patches } ], channelNameSets, channelAssignments, noteNameLists }
+ *
+ * - chaque banque devient un PatchBank avec ses MIDICommands (CC0/CC32) et sa PatchNameList
+ * - les ChannelNameSet du modèle sont conservés; sans set, un "Name Set 1" couvre les 16 canaux
+ * - patch.commands -> PatchMIDICommands, patch.noteNameList -> UsesNoteNameList
+ *
+ * Le résultat se relit avec parseMidnamFile (même banques, mêmes programmes).
+ */
+function buildMidnamXml(midnam, options = {}) {
+  const manufacturer = String(midnam?.manufacturer || options.manufacturer || "Unknown");
+  const model = String(midnam?.model || options.model || midnam?.deviceName || "Unknown");
+  const banks = Array.isArray(midnam?.banks) ? midnam.banks : [];
+
+  const sets = channelNameSetsForExport(midnam, banks);
+  const assignments = channelAssignmentsForExport(midnam, sets);
+
+  const device = {
+    Manufacturer: manufacturer,
+    Model: model,
+  };
+
+  if (assignments.length) {
+    device.CustomDeviceMode = {
+      "@_Name": "Default",
+      ChannelNameSetAssignments: {
+        ChannelNameSetAssign: assignments.map(a => ({ "@_Channel": a.channel, "@_NameSet": a.nameSet })),
+      },
+    };
+  }
+
+  device.ChannelNameSet = sets.map(s => {
+    const node = {
+      "@_Name": s.name,
+      AvailableForChannels: {
+        AvailableChannel: ALL_CHANNELS.map(ch => ({
+          "@_Channel": ch,
+          "@_Available": s.channels.includes(ch) ? "true" : "false",
+        })),
+      },
+    };
+    if (s.noteNameList) node.UsesNoteNameList = { "@_Name": s.noteNameList };
+    node.PatchBank = s.banks.map(bankToNode);
+    return node;
+  });
+
+  const noteLists = Object.entries(midnam?.noteNameLists || {}).filter(([, notes]) => notes?.length);
+  if (noteLists.length) device.NoteNameList = noteLists.map(([name, notes]) => noteListToNode(name, notes));
+
+  const doc = {
+    MIDINameDocument: {
+      Author: String(options.author || "MIDISTAGE"),
+      MasterDeviceNames: device,
+    },
+  };
+
+  const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    format: true,
+    indentBy: "\t",
+    suppressEmptyNode: true,
+    suppressBooleanAttributes: false, // Available="true", pas un attribut nu
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${DOCTYPE}\n\n${builder.build(doc)}`;
+}
+
+/**
+ * Écrit le modèle dans un fichier .midnam (dossiers créés au besoin).
+ * Le XML est validé avant l'écriture: un document invalide lève une erreur et aucun fichier n'est écrit.
+ */
+function writeMidnamFile(filePath, midnam, options = {}) {
+  const xml = buildMidnamXml(midnam, options);
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) throw new Error(`XML invalide (ligne ${valid.err.line}): ${valid.err.msg}`);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, xml, "utf8");
+  return filePath;
+}
+
+// ---------- Build helpers ----------
+
+// Sets du modèle (bankIndexes), les banques hors set vont dans un set disponible partout
+function channelNameSetsForExport(midnam, banks) {
+  const src = Array.isArray(midnam?.channelNameSets) ? midnam.channelNameSets : [];
+  const used = new Set();
+  const sets = [];
+
+  for (const s of src) {
+    const own = (s.bankIndexes || []).filter(i => banks[i] && !used.has(i));
+    own.forEach(i => used.add(i));
+    sets.push({
+      name: String(s.name),
+      channels: Array.isArray(s.channels) ? s.channels : ALL_CHANNELS,
+      noteNameList: s.noteNameList || null,
+      banks: own.map(i => banks[i]),
+    });
+  }
+
+  const rest = banks.filter((b, i) => !used.has(i));
+  if (rest.length || !sets.length) {
+    sets.push({
+      name: uniqueName(sets.length ? "Other Banks" : "Name Set 1", sets.map(s => s.name)),
+      channels: ALL_CHANNELS,
+      noteNameList: null,
+      banks: rest,
+    });
+  }
+
+  return sets.filter(s => s.banks.length || src.some(x => x.name === s.name));
+}
+
+// Assignations explicites conservées; fichier généré (un seul set): tous les canaux sur ce set
+function channelAssignmentsForExport(midnam, sets) {
+  const names = new Set(sets.map(s => s.name));
+  const out = [];
+
+  for (const ch of ALL_CHANNELS) {
+    const assigned = midnam?.channelAssignments?.[ch];
+    if (assigned && names.has(assigned)) out.push({ channel: ch, nameSet: assigned });
+  }
+
+  if (!out.length && sets.length === 1) {
+    for (const ch of ALL_CHANNELS) out.push({ channel: ch, nameSet: sets[0].name });
+  }
+
+  return out;
+}
+
+function bankToNode(bank) {
+  const node = { "@_Name": String(bank.name || "Bank") };
+
+  const cc = [];
+  if (isByte(bank.msb)) cc.push({ "@_Control": 0, "@_Value": bank.msb });
+  if (isByte(bank.lsb)) cc.push({ "@_Control": 32, "@_Value": bank.lsb });
+  if (cc.length) node.MIDICommands = { ControlChange: cc };
+
+  node.PatchNameList = {
+    "@_Name": String(bank.name || "Bank"),
+    Patch: (bank.patches || []).filter(p => isByte(p.program)).map(patchToNode),
+  };
+
+  return node;
+}
+
+function patchToNode(p) {
+  const node = {
+    "@_Number": String(p.program + 1),
+    "@_Name": String(p.name ?? `Program ${p.program}`),
+    "@_ProgramChange": p.program,
+  };
+
+  const commands = commandsToNode(p.commands);
+  if (commands) node.PatchMIDICommands = commands;
+  if (p.noteNameList) node.UsesNoteNameList = { "@_Name": String(p.noteNameList) };
+
+  return node;
+}
+
+// Messages normalisés -> SysEx / ControlChange / ProgramChange (les autres types n'existent pas en MIDINameDocument)
+function commandsToNode(commands) {
+  const list = normalizeMessageList(commands);
+  if (!list.length) return null;
+
+  const node = {};
+  const push = (tag, v) => { (node[tag] = node[tag] || []).push(v); };
+
+  for (const m of list) {
+    if (m.type === "raw" && m.bytes.startsWith("F0")) push("SysEx", m.bytes);
+    else if (m.type === "cc") push("ControlChange", { "@_Control": m.cc, "@_Value": m.value });
+    else if (m.type === "pc") push("ProgramChange", { "@_Number": m.program });
+  }
+
+  return Object.keys(node).length ? node : null;
+}
+
+function noteListToNode(name, notes) {
+  const node = { "@_Name": String(name) };
+  const loose = [];
+  const groups = new Map(); // nom de groupe -> notes, dans l'ordre d'apparition
+
+  for (const n of notes) {
+    const note = { "@_Number": n.note, "@_Name": String(n.name ?? `Note ${n.note}`) };
+    if (n.group == null) loose.push(note);
+    else {
+      if (!groups.has(n.group)) groups.set(n.group, []);
+      groups.get(n.group).push(note);
+    }
+  }
+
+  if (groups.size) node.NoteGroup = [...groups].map(([g, list]) => ({ "@_Name": g, Note: list }));
+  if (loose.length) node.Note = loose;
+
+  return node;
+}
+
+function isByte(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 127;
+}
+
+function uniqueName(base, taken) {
+  let name = base;
+  for (let i = 2; taken.includes(name); i++) name = `${base} ${i}`;
+  return name;
+}
+
+module.exports = { buildMidnamXml, writeMidnamFile };
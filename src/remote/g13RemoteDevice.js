@@ -453,6 +453,15 @@ class G13RemoteDevice extends EventEmitter
     this._renderSafely();
   }
 
+  // Remplace une ligne entière (1-based), complétée par des espaces
+  showLine(text, ypos)
+  {
+    const row = Math.max(0, Math.min(1, Math.round(Number(ypos) || 1) - 1));
+    this.lines[row] = fitFixed(text, DISPLAY_WIDTH);
+    this._resetIdleTimer();
+    this._renderSafely();
+  }
+
   showTipText(text)
   {
     this.tipText = sanitizeDisplayText(text);
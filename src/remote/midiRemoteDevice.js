@@ -0,0 +1,209 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+const midiDriver = require("../midi/driver");
+
+const DEFAULT_DEBOUNCE_MS = 120;
+const CC_PRESS_THRESHOLD = 64;
+const HOTKEY_COUNT = 22;
+
+const REMOTE_ACTIONS = Object.freeze([
+  "entryNext",
+  "entryPrev",
+  "setlistNext",
+  "setlistPrev",
+  "recall",
+  "hotkey",
+  "panic"
+]);
+
+// Footswitch / pedalboard par défaut: CC80..83 navigation, CC84 panic, PC0..21 -> G1..G22
+const DEFAULT_MAPPINGS = Object.freeze([
+  { type: "cc", number: 80, action: "entryNext" },
+  { type: "cc", number: 81, action: "entryPrev" },
+  { type: "cc", number: 82, action: "setlistNext" },
+  { type: "cc", number: 83, action: "setlistPrev" },
+  { type: "cc", number: 84, action: "panic" },
+  { type: "pc", number: null, action: "hotkey" }
+]);
+
+function clampChannel(value)
+{
+  const n = parseInt(String(value), 10);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, Math.min(16, n));
+}
+
+function normalizeMapping(m)
+{
+  if (!m || typeof m !== "object") return null;
+
+  const type = String(m.type || "").trim().toLowerCase();
+  if (type !== "pc" && type !== "cc" && type !== "note") return null;
+
+  const action = String(m.action || "").trim();
+  if (!REMOTE_ACTIONS.includes(action)) return null;
+
+  const n = (m.number == null || m.number === "") ? NaN : parseInt(String(m.number), 10);
+  const number = Number.isFinite(n) ? Math.max(0, Math.min(127, n)) : null;
+
+  const v = (m.value == null || m.value === "") ? NaN : parseInt(String(m.value), 10);
+  const value = Number.isFinite(v) ? Math.max(0, Math.min(127, v)) : null;
+
+  // "hotkey" sans key explicite = numéro reçu + 1 (PC0 -> G1)
+  const key = (m.key == null) ? null : String(m.key).trim().toUpperCase() || null;
+
+  return { type, number, value, action, key };
+}
+
+function normalizeMappings(list)
+{
+  const src = Array.isArray(list) ? list : DEFAULT_MAPPINGS;
+  return src.map(normalizeMapping).filter(Boolean);
+}
+
+/**
+ * Remote piloté par un input MIDI (footswitch, pédalier...).
+ * Émet "action" avec { action, key, message } comme la G13 émet "key".
+ */
+class MidiRemoteDevice extends EventEmitter
+{
+  constructor({
+    log,
+    port = null,
+    channel = 0,
+    mappings = DEFAULT_MAPPINGS,
+    debounceMs = DEFAULT_DEBOUNCE_MS
+  } = {})
+  {
+    super();
+
+    this.log = typeof log === "function" ? log : () => {};
+    this.port = port ? String(port) : null;
+    this.channel = clampChannel(channel); // 0 = omni
+    this.mappings = normalizeMappings(mappings);
+    this.debounceMs = Math.max(0, Number(debounceMs) || 0);
+
+    this.running = false;
+    this._openedPort = null;
+    this._lastFire = new Map();
+    this._onMessage = (msg) => this._handleMessage(msg);
+  }
+
+  start()
+  {
+    if (this.running) return true;
+
+    if (!this.port)
+    {
+      this.log("[MIDIREMOTE] No input port configured.");
+      return false;
+    }
+
+    try
+    {
+      midiDriver.openInput(this.port);
+      this._openedPort = this.port;
+    }
+    catch (error)
+    {
+      this.log(`[MIDIREMOTE] Cannot open input "${this.port}": ${error.message || error}`);
+      this.emit("error", error);
+      return false;
+    }
+
+    midiDriver.inputEvents.on("message", this._onMessage);
+    this.running = true;
+    this.log(`[MIDIREMOTE] Listening on "${this.port}" (${this.channel ? "CH" + this.channel : "omni"}).`);
+    return true;
+  }
+
+  stop()
+  {
+    if (!this.running) return;
+
+    midiDriver.inputEvents.removeListener("message", this._onMessage);
+    if (this._openedPort)
+    {
+      try { midiDriver.closeInput(this._openedPort); } catch {}
+    }
+
+    this._openedPort = null;
+    this.running = false;
+  }
+
+  configure({ port, channel, mappings } = {})
+  {
+    const wasRunning = this.running;
+    this.stop();
+
+    if (port !== undefined) this.port = port ? String(port) : null;
+    if (channel !== undefined) this.channel = clampChannel(channel);
+    if (mappings !== undefined) this.mappings = normalizeMappings(mappings);
+
+    if (wasRunning) this.start();
+  }
+
+  _matchesPort(msg)
+  {
+    const norm = (s) => midiDriver.normalizePortLabel(s).toLowerCase();
+    return norm(msg.port) === norm(this.port);
+  }
+
+  _resolve(msg)
+  {
+    for (const m of this.mappings)
+    {
+      if (m.type === "pc" && msg.type === "pc")
+      {
+        if (m.number != null && m.number !== msg.program) continue;
+        return { mapping: m, number: msg.program };
+      }
+
+      if (m.type === "cc" && msg.type === "cc")
+      {
+        if (m.number != null && m.number !== msg.controller) continue;
+        // Footswitch: on ne déclenche qu'à l'appui (pas au relâchement)
+        if (m.value != null ? msg.value !== m.value : msg.value < CC_PRESS_THRESHOLD) continue;
+        return { mapping: m, number: msg.controller };
+      }
+
+      if (m.type === "note" && msg.type === "noteon")
+      {
+        if (m.number != null && m.number !== msg.note) continue;
+        return { mapping: m, number: msg.note };
+      }
+    }
+
+    return null;
+  }
+
+  _handleMessage(msg)
+  {
+    if (!msg || !this.running) return;
+    if (!this._matchesPort(msg)) return;
+    if (this.channel && msg.channel !== this.channel) return;
+
+    const hit = this._resolve(msg);
+    if (!hit) return;
+
+    const { mapping, number } = hit;
+    let key = null;
+
+    if (mapping.action === "hotkey")
+    {
+      key = mapping.key || ((number + 1) <= HOTKEY_COUNT ? `G${number + 1}` : null);
+      if (!key) return;
+    }
+
+    const fireId = `${mapping.action}:${key || ""}`;
+    const now = Date.now();
+    const last = this._lastFire.get(fireId) || 0;
+    if (now - last < this.debounceMs) return;
+    this._lastFire.set(fireId, now);
+
+    this.emit("action", { action: mapping.action, key, message: msg });
+  }
+}
+
+module.exports = { MidiRemoteDevice, DEFAULT_MAPPINGS, REMOTE_ACTIONS };
@@ -9,6 +9,11 @@ const blessed = require("blessed");
 
 const { Settings } = require("../core/settings");
 const { Model } = require("../core/model");
+const { normalizeBankSelect, BANK_SELECT_MODES, BANK_SELECT_ORDERS, parsePartsText, formatPartsText } = require("../core/machines");
+const { parseSysExHex, formatSysExHex } = require("../midi/sysex");
+const { formatMessage, parseMessageText } = require("../midi/messages");
+const { formatLintIssue } = require("../midnam/lintMidnam");
+const { parseRouteOverridesText, formatRouteOverrides, parseEntryTempoText, formatEntryTempo } = require("../core/setlists");
 
 // -------------------- Splashscreen helpers --------------------
 function makeItGayLol(rainbowText)
@@ -311,6 +316,12 @@ function runPM2(action)
     if (widget.style && widget.style.border) widget.style.border = borderStyle;
   }
 
+  // Machine hors ligne (suivi de santé du model: port absent, plus de réponse à l'Identity Request)
+  function offlineTag(machineId)
+  {
+    return model.isMachineOffline(machineId) ? "{red-fg}[OFFLINE]{/red-fg} " : "";
+  }
+
   // -------------------- Key binding helpers (CRITICAL) --------------------
   function makeKeyBinder()
   {
@@ -361,6 +372,46 @@ function runPM2(action)
     screen.render();
   }
 
+  // -------------------- MIDI panic (all pages) --------------------
+  // Bound on the screen directly (not via makeKeyBinder) so page switches never unbind it.
+  function panicFromTui(noteOffs)
+  {
+    const popup = blessed.box({
+      parent: screen,
+      top: "center",
+      left: "center",
+      width: 44,
+      height: 5,
+      border: "line",
+      label: " PANIC ",
+      tags: true,
+      align: "center",
+      valign: "middle",
+      style: { fg: "white", bg: "red", border: { fg: "white", bg: "red" } },
+      content: `{bold}Sending All Notes Off${noteOffs ? " + Note Offs" : ""}...{/bold}`
+    });
+    popup.setFront();
+    screen.render();
+
+    model.panic({ noteOffs }).then((res) =>
+    {
+      try
+      {
+        popup.setContent(`{bold}${res.message}{/bold}`);
+        screen.render();
+      }
+      catch { }
+    });
+
+    setTimeout(() =>
+    {
+      try { popup.destroy(); screen.render(); } catch { }
+    }, 1500);
+  }
+
+  screen.key(["f12", "C-x"], () => panicFromTui(false));
+  screen.key(["S-f12"], () => panicFromTui(true));
+
   function quit()
   {
     try { screen.destroy(); } catch { }
@@ -395,7 +446,7 @@ function runPM2(action)
       tags: true,
       style: THEME.header,
       content:
-        "{bold}Tab{/bold} focus | {bold}Enter{/bold} send prog. change | {bold}s{/bold} search | {bold}l{/bold} setlist page | {bold}a{/bold} add->draft | {bold}x{/bold} clear draft | {bold}m{/bold} machines mgmt menu | {bold}t{/bold} system menu"
+        "{bold}Tab{/bold} focus | {bold}Enter{/bold} send prog. change | {bold}s{/bold} search | {bold}l{/bold} setlist page | {bold}a{/bold} add->draft | {bold}x{/bold} clear draft | {bold}d{/bold} drum map | {bold}p{/bold} part | {bold}f{/bold} find everywhere | {bold}r{/bold}/{bold}+{/bold} rename/add patch | {bold}m{/bold} machines mgmt menu | {bold}t{/bold} system menu"
     });
 
     // “Instruments” = machines.json
@@ -490,15 +541,20 @@ function runPM2(action)
       screen.render();
     }
 
-    function tryPeekDeviceName(midnamFile)
+    function tryPeekDeviceName(midnamFile, midnamModel = null)
     {
       if (!midnamFile) return "<no midnam>";
-      try { return model.peekMidnamDeviceName(midnamFile); } catch { return "?"; }
+      try { return model.peekMidnamDeviceName(midnamFile, midnamModel); } catch { return "?"; }
     }
 
     function machineToLine(m)
     {
-      const ch = m.channel ? `CH${m.channel}` : "CH?";
+      // Machine active sur une partie: nom + canal de la partie
+      const part = (m.id === model.getActiveMachine()?.id) ? model.getActivePart() : null;
+      const nParts = (m.parts || []).length;
+      const ch = part
+        ? `${part.name} CH${part.channel}`
+        : (m.channel ? `CH${m.channel}` : "CH?") + (nParts ? ` +${nParts} parts` : "");
 
       let outTxt = "default";
       if (m.outSlot != null && model.midiports && typeof model.midiports.getSlot === "function")
@@ -515,10 +571,23 @@ function runPM2(action)
       }
 
       const mid = m.midnamFile ? m.midnamFile : "<no midnam>";
-      const dev = tryPeekDeviceName(m.midnamFile);
-      return `${m.name}  {gray-fg}[${outTxt} / ${ch}]{/gray-fg}  {gray-fg}${dev}{/gray-fg}  {gray-fg}(${mid}){/gray-fg}`;
+      const dev = tryPeekDeviceName(m.midnamFile, m.midnamModel);
+      return `${offlineTag(m.id)}${m.name}  {gray-fg}[${outTxt} / ${ch}]{/gray-fg}  {gray-fg}${dev}{/gray-fg}  {gray-fg}(${mid}){/gray-fg}`;
+    }
+
+    // Statut en ligne / hors ligne changé: seule la ligne de la machine est redessinée (sélection inchangée)
+    function onMachineStatus(e)
+    {
+      const list = filesList._machines || [];
+      const i = list.findIndex(x => x.id === e.machineId);
+      if (i < 0) return;
+
+      filesList.setItem(i, machineToLine(list[i]));
+      screen.render();
     }
 
+    model.on("machineStatus", onMachineStatus);
+
     // -------- MIDI port picker modal --------
 
     const midiModal = blessed.box({
@@ -620,6 +689,220 @@ function runPM2(action)
       refreshMachinesList();
     });
 
+    // -------- Drum map modal (NoteNameList) --------
+
+    const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+    // Convention .midnam / Apple: 60 = C3
+    function noteLabel(n)
+    {
+      return `${NOTE_NAMES[n % 12]}${Math.floor(n / 12) - 2}`;
+    }
+
+    const drumModal = blessed.box({
+      parent: frame,
+      top: "center",
+      left: "center",
+      width: "60%",
+      height: "80%",
+      border: "line",
+      label: " Drum Map ",
+      hidden: true,
+      tags: true,
+      style: THEME.modal,
+      padding: { left: 1, right: 1 }
+    });
+
+    const drumList = blessed.list({
+      parent: drumModal,
+      top: 1,
+      left: 1,
+      width: "100%-2",
+      height: "100%-4",
+      keys: true,
+      vi: true,
+      tags: true,
+      style: THEME.list
+    });
+
+    blessed.box({
+      parent: drumModal,
+      bottom: 0,
+      left: 1,
+      height: 2,
+      width: "100%-2",
+      tags: true,
+      content: "{bold}↑↓{/bold} select | {bold}Enter/Space{/bold} audition note | {bold}Esc{/bold} close"
+    });
+
+    function openDrumMap()
+    {
+      const r = model.getDrumMapView(patchesList._midistageView, patchesList.selected);
+      if (!r.ok)
+      {
+        setStatus(r.message, "warn");
+        return;
+      }
+
+      drumList._notes = r.notes;
+      drumList.setItems(r.notes.map(n =>
+      {
+        const group = n.group ? `  {gray-fg}[${n.group}]{/gray-fg}` : "";
+        return `{cyan-fg}${String(n.note).padStart(3, " ")}{/cyan-fg} ${noteLabel(n.note).padEnd(4, " ")}  ${n.name}${group}`;
+      }));
+      drumList.select(0);
+
+      drumModal.setLabel(` Drum Map: ${r.patch.name}${r.listName && r.listName !== r.patch.name ? " (" + r.listName + ")" : ""} `);
+      drumModal.show();
+      drumModal.setFront();
+      drumList.focus();
+      screen.render();
+    }
+
+    function closeDrumMap()
+    {
+      drumModal.hide();
+      patchesList.focus();
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    drumList.key(["enter", "space"], () =>
+    {
+      const n = (drumList._notes || [])[drumList.selected];
+      if (!n) return;
+
+      model.auditionNote(n.note).then(r =>
+      {
+        setStatus(r.ok ? `${r.message} (${n.name})` : r.message, r.ok ? "ok" : "err");
+      });
+    });
+
+    // -------- Library-wide search modal --------
+
+    const findModal = blessed.box({
+      parent: frame,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "85%",
+      border: "line",
+      label: " Find patch ",
+      hidden: true,
+      tags: true,
+      style: THEME.modal,
+      padding: { left: 1, right: 1 }
+    });
+
+    const findQuery = blessed.textbox({
+      parent: findModal,
+      top: 0,
+      left: 0,
+      height: 3,
+      width: "100%-2",
+      border: "line",
+      label: " Search ",
+      tags: true,
+      inputOnFocus: true,
+      style: THEME.input
+    });
+
+    const findList = blessed.list({
+      parent: findModal,
+      top: 3,
+      left: 0,
+      width: "100%-2",
+      height: "100%-6",
+      keys: true,
+      vi: true,
+      tags: true,
+      style: THEME.list
+    });
+
+    const findHelp = blessed.box({
+      parent: findModal,
+      bottom: 0,
+      left: 0,
+      height: 1,
+      width: "100%-2",
+      tags: true
+    });
+
+    let findScope = "machines";
+
+    function renderFindHelp(extra)
+    {
+      const scope = findScope === "library" ? "whole library" : "my machines";
+      findHelp.setContent(
+        `{bold}Enter{/bold} send | {bold}a{/bold} add->draft | {bold}Tab{/bold} scope: {yellow-fg}${scope}{/yellow-fg} | {bold}/{/bold} new search | {bold}Esc{/bold} close` +
+        (extra ? `  {gray-fg}${extra}{/gray-fg}` : "")
+      );
+    }
+
+    function runFind()
+    {
+      const q = findQuery.getValue();
+      const r = model.searchLibrary(q, { scope: findScope });
+
+      findList._results = r.results;
+      findList.setItems(r.results.length ? r.results.map(x =>
+      {
+        const who = x.machineName
+          ? `{cyan-fg}${x.machineName}{/cyan-fg}`
+          : `{gray-fg}${x.deviceName} (active machine){/gray-fg}`;
+        return `${who}  {yellow-fg}[${x.bank.name}]{/yellow-fg} {cyan-fg}${String(x.patch.program).padStart(3, " ")}{/cyan-fg}  ${x.patch.name}`;
+      }) : ["<no match>"]);
+      findList.select(0);
+
+      renderFindHelp(`${r.results.length}${r.truncated ? "+" : ""} result(s)`);
+      findList.focus();
+      screen.render();
+    }
+
+    function openFind()
+    {
+      findModal.show();
+      findModal.setFront();
+      renderFindHelp();
+      findQuery.focus();
+      screen.render();
+    }
+
+    function closeFind()
+    {
+      findModal.hide();
+      patchesList.focus();
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    function selectedFindResult()
+    {
+      return (findList._results || [])[findList.selected] || null;
+    }
+
+    findQuery.on("submit", () => runFind());
+    findQuery.on("cancel", () => closeFind());
+
+    findList.key(["enter"], () =>
+    {
+      const res = selectedFindResult();
+      if (!res) return;
+      const r = model.sendSearchResult(res);
+      setStatus(r.message, r.ok ? "ok" : "err");
+    });
+
+    findList.key(["/"], () =>
+    {
+      findQuery.focus();
+      screen.render();
+    });
+
+    function isModalOpen()
+    {
+      return !midiModal.hidden || !drumModal.hidden || !findModal.hidden;
+    }
+
     // -------------------- Instruments list = machines.json --------------------
 
     function refreshMachinesList()
@@ -681,9 +964,11 @@ function runPM2(action)
 
       try
       {
-        const parsed = model.loadMidnam(m.midnamFile);
+        const ch = model.getActiveChannel();
+        const parsed = model.loadMidnam(m.midnamFile, ch, m.id);
+        const set = parsed.channelNameSet ? ` (CH${ch}: ${parsed.channelNameSet})` : "";
         search.setValue("");
-        setStatus(`OK: ${parsed.deviceName} Machine: ${m.name} | ${model.draftGetSummary()}`, "ok");
+        setStatus(`OK: ${parsed.deviceName}${set} Machine: ${m.name} | ${model.draftGetSummary()}`, "ok");
         refreshAll();
       }
       catch (e)
@@ -808,7 +1093,14 @@ function runPM2(action)
 
     kb.bindKey(["tab"], () =>
     {
-      if (!midiModal.hidden) return;
+      if (!findModal.hidden && screen.focused === findList)
+      {
+        findScope = findScope === "library" ? "machines" : "library";
+        if (findQuery.getValue().trim()) runFind();
+        else { renderFindHelp(); screen.render(); }
+        return;
+      }
+      if (isModalOpen()) return;
 
       if (screen.focused === search)
       {
@@ -822,7 +1114,7 @@ function runPM2(action)
 
     kb.bindKey(["S-tab"], () =>
     {
-      if (!midiModal.hidden) return;
+      if (isModalOpen()) return;
 
       if (screen.focused === search)
       {
@@ -842,7 +1134,7 @@ function runPM2(action)
 
     kb.bindKey(["s"], () =>
     {
-      if (!midiModal.hidden) return;
+      if (isModalOpen()) return;
       search.focus();
       refreshFocusMarkers();
       screen.render();
@@ -860,6 +1152,8 @@ function runPM2(action)
     kb.bindKey(["escape"], () =>
     {
       if (!midiModal.hidden) { closeMidiPicker(patchesList); return; }
+      if (!drumModal.hidden) { closeDrumMap(); return; }
+      if (!findModal.hidden) { closeFind(); return; }
 
       if (screen.focused === search) { clearSearchAndReturn(); return; }
 
@@ -869,8 +1163,133 @@ function runPM2(action)
 
     kb.bindKey(["C-n"], () => moveSelection(+1));
     kb.bindKey(["C-p"], () => moveSelection(-1));
-    kb.bindKey(["a"], () => addToDraft());
+    kb.bindKey(["a"], () =>
+    {
+      if (!findModal.hidden && screen.focused === findList)
+      {
+        const res = selectedFindResult();
+        if (!res) return;
+        const r = model.draftUpsertFromSearchResult(res);
+        setStatus(r.ok ? `${r.message}\n${model.draftGetSummary()}` : r.message, r.ok ? "ok" : "err");
+        return;
+      }
+      if (isModalOpen()) return;
+      addToDraft();
+    });
+    kb.bindKey(["d"], () =>
+    {
+      if (isModalOpen() || screen.focused === search) return;
+      openDrumMap();
+    });
+    kb.bindKey(["f"], () =>
+    {
+      if (isModalOpen() || screen.focused === search) return;
+      openFind();
+    });
+
+    // Partie suivante de la machine active: envoi, draft et banques (ChannelNameSet) sur le canal de la partie
+    kb.bindKey(["p"], () =>
+    {
+      if (isModalOpen() || screen.focused === search) return;
+
+      const r = model.cycleActivePart(+1);
+      if (!r.ok) { setStatus(r.message, "warn"); return; }
+
+      const m = model.getActiveMachine();
+      const list = filesList._machines || [];
+      const i = list.findIndex(x => x.id === m.id);
+      if (i >= 0) filesList.setItem(i, machineToLine(list[i]));
+
+      if (m.midnamFile && model.state.currentMachineId === m.id)
+      {
+        try
+        {
+          model.loadMidnam(m.midnamFile, model.getActiveChannel(), m.id);
+          refreshAll();
+        }
+        catch (e)
+        {
+          setStatus(`Parse error (${m.midnamFile}):${e.message}`, "err");
+          return;
+        }
+      }
+
+      setStatus(`${r.message} | ${model.draftGetSummary()}`, "ok");
+    });
+
+    function askPatchText(label, question, initial, cb)
+    {
+      const prompt = blessed.prompt({
+        parent: screen,
+        border: "line",
+        height: 7,
+        width: 60,
+        top: "center",
+        left: "center",
+        label: ` ${label} `,
+        keys: true,
+        vi: true
+      });
+
+      screen.grabKeys = true;
+      prompt.focus();
+
+      prompt.input(question, initial, (err, value) =>
+      {
+        screen.grabKeys = false;
+        prompt.destroy();
+        patchesList.focus();
+        if (err || value == null) { screen.render(); return; }
+        cb(String(value));
+      });
+    }
+
+    function afterOverlayChange(r)
+    {
+      const sel = patchesList.selected;
+      if (r.ok)
+      {
+        refreshBanks();
+        refreshPatches();
+        patchesList.select(Math.min(sel, (patchesList.items?.length || 1) - 1));
+      }
+      setStatus(r.message, r.ok ? "ok" : "err");
+    }
+
+    // Overlay utilisateur: renommer le patch sélectionné (vide = nom d'origine du .midnam)
+    kb.bindKey(["r"], () =>
+    {
+      if (isModalOpen() || screen.focused === search) return;
+
+      const view = patchesList._midistageView;
+      const entry = view && Array.isArray(view.list) ? view.list[patchesList.selected] : null;
+      const patch = entry ? (view.mode === "global" ? entry.patch : entry) : null;
+      if (!patch) { setStatus("No patch selected.", "warn"); return; }
+
+      const orig = patch.originalName ? ` (file: ${patch.originalName})` : "";
+      askPatchText("Rename patch", `Name for program ${patch.program}${orig}, empty = original`, patch.name, (value) =>
+      {
+        afterOverlayChange(model.renameSelectedPatch(view, patchesList.selected, value));
+      });
+    });
+
+    // Overlay utilisateur: ajouter un programme à la banque courante ("12=My Pad")
+    kb.bindKey(["+"], () =>
+    {
+      if (isModalOpen() || screen.focused === search) return;
+
+      const bank = model.getCurrentBank();
+      if (!bank) { setStatus("No bank loaded.", "warn"); return; }
+
+      askPatchText("Add patch", `Add to ${bank.name}: program=name (e.g. 12=My Pad)`, "", (value) =>
+      {
+        const m = value.match(/^\s*(\d{1,3})\s*=\s*(.+)$/);
+        if (!m) { setStatus("Syntax: program=name", "err"); return; }
+        afterOverlayChange(model.addOverlayPatch(Number(m[1]), m[2]));
+      });
+    });
     kb.bindKey(["x"], () => {
+      if (isModalOpen()) return;
       const qst = blessed.question({
         parent: screen,
         border: 'line',
@@ -932,7 +1351,10 @@ function runPM2(action)
     return function cleanup()
     {
       kb.unbindAllKeys();
+      model.removeListener("machineStatus", onMachineStatus);
       try { midiModal.hide(); } catch { }
+      try { drumModal.hide(); } catch { }
+      try { findModal.hide(); } catch { }
     };
   }
 
@@ -967,7 +1389,7 @@ function runPM2(action)
       tags: true,
       style: THEME.header,
       content:
-        "{bold}↑↓{/bold} select | {bold}n{/bold} new | {bold}e{/bold} edit | {bold}x{/bold} delete | {bold}Ctrl+S{/bold} save | {bold}Esc{/bold} cancel edit | {bold}p{/bold} ports | {bold}t{/bold} system | {bold}q{/bold} back"
+        "{bold}↑↓{/bold} select | {bold}n{/bold} new | {bold}e{/bold} edit | {bold}x{/bold} delete | {bold}b{/bold} bank select / clock | {bold}r{/bold} rescan library | {bold}w{/bold} export .midnam | {bold}v{/bold}/{bold}V{/bold} lint file/library | {bold}i{/bold} scan rig | {bold}Ctrl+S{/bold} save | {bold}Esc{/bold} cancel edit | {bold}p{/bold} ports | {bold}t{/bold} system | {bold}q{/bold} back"
     });
 
     const machinesList = blessed.list({
@@ -1059,36 +1481,474 @@ function runPM2(action)
       content: "{bold}Enter{/bold} validate | {bold}Esc{/bold} cancel"
     });
 
-    let _confirmCb = null;
+    let _confirmCb = null;
+
+    function askConfirm(question, cb)
+    {
+      _confirmCb = cb;
+      confirmQuestion.setContent(question || 'Type "yes" to confirm');
+      confirmInput.setValue("");
+
+      confirmModal.show();
+      confirmInput.focus();
+      confirmInput.readInput();
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    function closeConfirm(cancelled, value)
+    {
+      try { confirmModal.hide(); } catch { }
+      const cb = _confirmCb;
+      _confirmCb = null;
+
+      try { machinesList.focus(); } catch { }
+      refreshFocusMarkers();
+      screen.render();
+
+      if (cb) cb(cancelled ? new Error("cancelled") : null, value);
+    }
+
+    confirmInput.on("submit", (value) => closeConfirm(false, value));
+    confirmInput.key(["escape"], () => closeConfirm(true, null));
+
+    // ---- Bank-select profile modal ----
+    const BANK_DELAYS = [0, 5, 10, 20, 50, 100, 200, 500];
+
+    const bankModal = blessed.box({
+      parent: frame,
+      top: "center",
+      left: "center",
+      width: "60%",
+      height: 14,
+      border: "line",
+      label: " Bank select / timing ",
+      tags: true,
+      hidden: true,
+      style: THEME.modal,
+      padding: { left: 1, right: 1 }
+    });
+
+    const bankTitle = blessed.box({
+      parent: bankModal,
+      top: 0,
+      left: 0,
+      height: 1,
+      width: "100%-4",
+      tags: true,
+      content: ""
+    });
+
+    const bankList = blessed.list({
+      parent: bankModal,
+      top: 2,
+      left: 0,
+      height: 8,
+      width: "100%-4",
+      border: "line",
+      keys: true,
+      vi: true,
+      tags: true,
+      style: THEME.list
+    });
+
+    blessed.box({
+      parent: bankModal,
+      bottom: 0,
+      left: 0,
+      height: 1,
+      width: "100%-4",
+      tags: true,
+      content: "{bold}↑↓{/bold} field | {bold}Enter{/bold}/{bold}→{/bold} next value | {bold}←{/bold} previous | {bold}Esc{/bold} close"
+    });
+
+    let _bankMachineId = null;
+
+    function bankProfileToText(b)
+    {
+      const p = normalizeBankSelect(b);
+      const mode = { both: "MSB+LSB", msb: "MSB only", lsb: "LSB only", none: "no bank" }[p.mode];
+      const order = p.order === "pc-bank" ? "PC first" : "bank first";
+      return `${mode}, ${order}, ${p.programBase}-based${p.delayMs ? `, ${p.delayMs}ms` : ""}`;
+    }
+
+    function renderBankModal(keepIndex)
+    {
+      const m = _bankMachineId ? model.machines.getById(_bankMachineId) : null;
+      if (!m) return;
+
+      const p = normalizeBankSelect(m.bankSelect);
+      bankTitle.setContent(`{bold}${m.name}{/bold}  {gray-fg}${bankProfileToText(p)}{/gray-fg}`);
+
+      bankList.setItems([
+        `Bank select   : {bold}${p.mode}{/bold}  {gray-fg}(both = CC0+CC32, msb = CC0, lsb = CC32){/gray-fg}`,
+        `Order         : {bold}${p.order}{/bold}`,
+        `Program base  : {bold}${p.programBase}{/bold}  {gray-fg}(1 = .midnam programs start at 1){/gray-fg}`,
+        `Bank -> PC gap: {bold}${p.delayMs} ms{/bold}`,
+        `Message gap   : {bold}${m.sendDelayMs || 0} ms{/bold}  {gray-fg}(min. time between messages to this machine){/gray-fg}`,
+        `MIDI clock    : {bold}${m.clock ? "{green-fg}ON{/green-fg}" : "OFF"}{/bold}  {gray-fg}(receives Start/Stop and clock from entries with a BPM){/gray-fg}`
+      ]);
+      bankList.select(keepIndex || 0);
+    }
+
+    function openBankModal()
+    {
+      if (_editMode !== "view")
+      {
+        setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
+        return;
+      }
+
+      const m = getSelectedMachine();
+      if (!m)
+      {
+        setStatus("No machine.", "warn");
+        return;
+      }
+
+      _bankMachineId = m.id;
+      renderBankModal(0);
+      bankModal.show();
+      bankModal.setFront();
+      bankList.focus();
+      screen.render();
+    }
+
+    function closeBankModal()
+    {
+      _bankMachineId = null;
+      try { bankModal.hide(); } catch { }
+      try { machinesList.focus(); } catch { }
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    function cycle(list, current, delta)
+    {
+      const i = list.indexOf(current);
+      return list[((i < 0 ? 0 : i) + delta + list.length) % list.length];
+    }
+
+    function stepBankField(delta)
+    {
+      const m = _bankMachineId ? model.machines.getById(_bankMachineId) : null;
+      if (!m) return;
+
+      const p = normalizeBankSelect(m.bankSelect);
+      const field = bankList.selected;
+
+      if (field === 0) p.mode = cycle(BANK_SELECT_MODES, p.mode, delta);
+      else if (field === 1) p.order = cycle(BANK_SELECT_ORDERS, p.order, delta);
+      else if (field === 2) p.programBase = p.programBase ? 0 : 1;
+      else if (field === 3) p.delayMs = cycle(BANK_DELAYS, p.delayMs, delta);
+
+      const patch = { bankSelect: p };
+      if (field === 4) patch.sendDelayMs = cycle(BANK_DELAYS, m.sendDelayMs || 0, delta);
+      if (field === 5) patch.clock = !m.clock;
+
+      const saved = model.machines.update(m.id, patch);
+      if (!saved)
+      {
+        setStatus("Error: cannot update machine.", "err");
+        return;
+      }
+
+      refreshMachinesList(saved.id);
+      renderBankModal(field);
+      setStatus(`Bank select for ${saved.name}: ${bankProfileToText(saved.bankSelect)} | message gap ${saved.sendDelayMs} ms | clock ${saved.clock ? "ON" : "OFF"}`, "ok");
+    }
+
+    bankList.key(["enter", "space", "right", "l"], () => stepBankField(+1));
+    bankList.key(["left", "h"], () => stepBankField(-1));
+
+    // ---- Lint modal (.midnam validation) ----
+    const lintModal = blessed.box({
+      parent: frame,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "80%",
+      border: "line",
+      label: " Library lint ",
+      tags: true,
+      hidden: true,
+      style: THEME.modal,
+      padding: { left: 1, right: 1 }
+    });
+
+    const lintTitle = blessed.box({
+      parent: lintModal,
+      top: 0,
+      left: 0,
+      height: 1,
+      width: "100%-4",
+      tags: true,
+      content: ""
+    });
+
+    const lintList = blessed.list({
+      parent: lintModal,
+      top: 2,
+      left: 0,
+      height: "100%-8",
+      width: "100%-4",
+      border: "line",
+      keys: true,
+      vi: true,
+      tags: true,
+      style: THEME.list
+    });
+
+    const lintContext = blessed.box({
+      parent: lintModal,
+      bottom: 1,
+      left: 0,
+      height: 2,
+      width: "100%-4",
+      tags: false,
+      content: ""
+    });
+
+    blessed.box({
+      parent: lintModal,
+      bottom: 0,
+      left: 0,
+      height: 1,
+      width: "100%-4",
+      tags: true,
+      content: "{bold}↑↓{/bold} issue | {bold}Esc{/bold} close"
+    });
+
+    let _lintIssues = [];
+
+    function isModalOpen()
+    {
+      return !confirmModal.hidden || !bankModal.hidden || !lintModal.hidden || !scanModal.hidden;
+    }
+
+    // v = fichier de la machine sélectionnée, V = toute la bibliothèque
+    function openLintModal(wholeLibrary)
+    {
+      if (_editMode !== "view")
+      {
+        setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
+        return;
+      }
+
+      let files = null;
+      if (!wholeLibrary)
+      {
+        const m = getSelectedMachine();
+        if (!m || !m.midnamFile)
+        {
+          setStatus("Selected machine has no MIDNAM file (V lints the whole library).", "warn");
+          return;
+        }
+        files = [m.midnamFile];
+      }
+
+      setStatus("Linting...", "warn");
+      screen.render();
+
+      const results = model.lintMidnamFiles(files);
+      _lintIssues = [];
+      for (const r of results)
+      {
+        for (const issue of r.issues) _lintIssues.push({ file: r.file, issue });
+      }
+
+      const errors = _lintIssues.filter(x => x.issue.severity === "error").length;
+      const warnings = _lintIssues.length - errors;
+      const scope = wholeLibrary ? `${results.length} file(s)` : blessed.escape(results[0].file);
+
+      lintTitle.setContent(`{bold}${scope}{/bold}  {red-fg}${errors} error(s){/red-fg}  {yellow-fg}${warnings} warning(s){/yellow-fg}`);
+      lintList.setItems(_lintIssues.length
+        ? _lintIssues.map(({ file, issue }) =>
+        {
+          const tag = issue.severity === "error" ? "{red-fg}E{/red-fg}" : "{yellow-fg}W{/yellow-fg}";
+          return `${tag} ${blessed.escape(formatLintIssue(file, issue, { context: false }))}`;
+        })
+        : ["{green-fg}No issue found.{/green-fg}"]);
+      lintList.select(0);
+      renderLintContext();
+
+      lintModal.show();
+      lintModal.setFront();
+      lintList.focus();
+      setStatus(`Lint: ${errors} error(s), ${warnings} warning(s).`, errors ? "err" : (warnings ? "warn" : "ok"));
+      screen.render();
+    }
+
+    function renderLintContext()
+    {
+      const x = _lintIssues[lintList.selected];
+      lintContext.setContent(x && x.issue.context ? x.issue.context : "");
+    }
+
+    function closeLintModal()
+    {
+      _lintIssues = [];
+      try { lintModal.hide(); } catch { }
+      try { machinesList.focus(); } catch { }
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    lintList.on("select item", () => { renderLintContext(); screen.render(); });
+
+    // ---- Scan modal (Identity Request sur les ports mappés) ----
+    const scanModal = blessed.box({
+      parent: frame,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "70%",
+      border: "line",
+      label: " Rig scan ",
+      tags: true,
+      hidden: true,
+      style: THEME.modal,
+      padding: { left: 1, right: 1 }
+    });
+
+    const scanTitle = blessed.box({
+      parent: scanModal,
+      top: 0,
+      left: 0,
+      height: 1,
+      width: "100%-4",
+      tags: true,
+      content: ""
+    });
+
+    const scanList = blessed.list({
+      parent: scanModal,
+      top: 2,
+      left: 0,
+      height: "100%-5",
+      width: "100%-4",
+      border: "line",
+      keys: true,
+      vi: true,
+      tags: true,
+      style: THEME.list
+    });
+
+    blessed.box({
+      parent: scanModal,
+      bottom: 0,
+      left: 0,
+      height: 1,
+      width: "100%-4",
+      tags: true,
+      content: "{bold}↑↓{/bold} device | {bold}Tab{/bold} other match | {bold}Enter{/bold} add machine | {bold}Esc{/bold} close"
+    });
+
+    let _scanProposals = []; // [{ proposal, choice, added }]
+    let _scanning = false;
+    let _pageClosed = false;
+
+    function scanItemText(x)
+    {
+      const p = x.proposal;
+      const c = p.candidates[x.choice];
+      const where = p.slot != null ? `S${String(p.slot).padStart(3, "0")}` : blessed.escape(p.port);
+      const mid = c.midnamFile ? blessed.escape(c.midnamFile) + (c.midnamModel ? ` [${blessed.escape(c.midnamModel)}]` : "") : "<no midnam>";
+      const more = p.candidates.length > 1 ? `  {gray-fg}(${x.choice + 1}/${p.candidates.length}){/gray-fg}` : "";
+
+      let mark = "";
+      if (x.added) mark = "  {green-fg}added{/green-fg}";
+      else if (c.existingId) mark = "  {yellow-fg}already configured{/yellow-fg}";
+
+      return `${where}  {bold}${blessed.escape(c.name)}{/bold}  {gray-fg}${mid} | ${p.ids} | in: ${blessed.escape(p.input)}{/gray-fg}${more}${mark}`;
+    }
+
+    function renderScanList()
+    {
+      const sel = scanList.selected || 0;
+      scanList.setItems(_scanProposals.length
+        ? _scanProposals.map(scanItemText)
+        : ["{yellow-fg}No device answered the Identity Request.{/yellow-fg}"]);
+      scanList.select(Math.min(sel, Math.max(0, _scanProposals.length - 1)));
+    }
+
+    function openScanModal()
+    {
+      if (_editMode !== "view")
+      {
+        setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
+        return;
+      }
+      if (_scanning) return;
+
+      _scanning = true;
+      setStatus("Scanning rig (Identity Request on each mapped port)...", "warn");
+      screen.render();
+
+      model.scanRig().then((r) =>
+      {
+        _scanning = false;
+        if (_pageClosed) return;
+
+        if (!r.ok)
+        {
+          setStatus(r.message, "err");
+          return;
+        }
+
+        _scanProposals = r.proposals.map(proposal => ({ proposal, choice: 0, added: false }));
+        scanTitle.setContent(`{bold}${blessed.escape(r.message.split("\n")[0])}{/bold}`);
+        scanList.select(0);
+        renderScanList();
+
+        scanModal.show();
+        scanModal.setFront();
+        scanList.focus();
+        setStatus(r.message, r.proposals.length ? "ok" : "warn");
+        screen.render();
+      }, (e) =>
+      {
+        _scanning = false;
+        if (!_pageClosed) setStatus(`Scan error: ${e.message}`, "err");
+      });
+    }
 
-    function askConfirm(question, cb)
+    function closeScanModal()
     {
-      _confirmCb = cb;
-      confirmQuestion.setContent(question || 'Type "yes" to confirm');
-      confirmInput.setValue("");
-
-      confirmModal.show();
-      confirmInput.focus();
-      confirmInput.readInput();
+      _scanProposals = [];
+      try { scanModal.hide(); } catch { }
+      try { machinesList.focus(); } catch { }
       refreshFocusMarkers();
       screen.render();
     }
 
-    function closeConfirm(cancelled, value)
+    scanList.key(["tab"], () =>
     {
-      try { confirmModal.hide(); } catch { }
-      const cb = _confirmCb;
-      _confirmCb = null;
-
-      try { machinesList.focus(); } catch { }
-      refreshFocusMarkers();
+      const x = _scanProposals[scanList.selected];
+      if (!x || x.added) return;
+      x.choice = (x.choice + 1) % x.proposal.candidates.length;
+      renderScanList();
       screen.render();
+    });
 
-      if (cb) cb(cancelled ? new Error("cancelled") : null, value);
-    }
+    scanList.key(["enter"], () =>
+    {
+      const x = _scanProposals[scanList.selected];
+      if (!x || x.added) return;
 
-    confirmInput.on("submit", (value) => closeConfirm(false, value));
-    confirmInput.key(["escape"], () => closeConfirm(true, null));
+      const r = model.addScannedMachine(x.proposal, x.choice);
+      if (!r.ok)
+      {
+        setStatus(r.message, "err");
+        return;
+      }
+
+      x.added = true;
+      refreshMachinesList(r.machine.id);
+      renderScanList();
+      setStatus(r.message, "ok");
+      screen.render();
+    });
 
     // ---- Editor widgets ----
 
@@ -1186,6 +2046,21 @@ function runPM2(action)
       style: THEME.input
     });
 
+    // Parties (multitimbral): "Piano=1; Bass=2"; une route peut viser une partie et son canal
+    const partsBox = blessed.textbox({
+      parent: editor,
+      bottom: 1,
+      left: "50%-3",
+      height: 3,
+      width: "50%",
+      border: "line",
+      label: " Parts (name=ch; ...) ",
+      inputOnFocus: true,
+      keys: true,
+      vi: true,
+      style: THEME.input
+    });
+
     const help = blessed.box({
       parent: editor,
       // top: 25,
@@ -1220,6 +2095,7 @@ function runPM2(action)
       const midnamFocused = (f === midnamList);
       const outFocused    = (f === outList);
       const chFocused     = (f === chBox);
+      const partsFocused  = (f === partsBox);
 
       setFieldLabel(nameLabel,  "Display name",          nameFocused);
       setFieldLabel(midnamLabel,"MIDNAM",                midnamFocused);
@@ -1230,6 +2106,7 @@ function runPM2(action)
       setBorderFocus(midnamList, midnamFocused);
       setBorderFocus(outList,    outFocused);
       setBorderFocus(chBox,      chFocused);
+      setLabelWithFocus(partsBox, "Parts (name=ch; ...)", partsFocused);
     }
 
     // ---- Mode ----
@@ -1264,42 +2141,38 @@ function runPM2(action)
       catch { return []; }
     }
 
-    function listMidnamFiles() 
+    // Bibliothèque via l'index du model (scan du dossier gardé en mémoire, voir "r" pour rescanner)
+    function listMidnamFiles()
     {
-      const walk = (dir) => {
-        let results = [];
-        const list = fs.readdirSync(dir);
-    
-        list.forEach(file => {
-          const fullPath = path.join(dir, file);
-          const stat = fs.statSync(fullPath);
-    
-          if (stat && stat.isDirectory()) 
-           {
-            results = results.concat(walk(fullPath));
-          } 
-          else if (file.toLowerCase().endsWith(".midnam")) 
-          {
-            const relativePath = path.relative(midnamDir, fullPath);
-            results.push(relativePath);
-          }
-        });
-    
-        return results;
-      };
-    
-      try 
+      try { return model.listMidnamFiles(); }
+      catch { return []; }
+    }
+
+    // Une ligne par fichier, ou une par <Model> quand le fichier décrit plusieurs appareils
+    function listMidnamChoices()
+    {
+      const out = [{ file: MIDNAM_NONE, model: null }];
+      for (const file of listMidnamFiles())
       {
-        return walk(midnamDir).sort((a, b) => a.localeCompare(b));
-      } catch (err) {
-        return [];
+        let models = [];
+        try { models = model.listMidnamModels(file); } catch { }
+
+        if (models.length > 1) models.forEach(d => out.push({ file, model: d.model }));
+        else out.push({ file, model: null });
       }
+      return out;
+    }
+
+    function midnamChoiceLabel(c)
+    {
+      if (c.model == null) return blessed.escape(c.file);
+      return `${blessed.escape(c.file)} {gray-fg}[${blessed.escape(c.model)}]{/gray-fg}`;
     }
 
     function refreshMidnamAndOutLists()
     {
-      const midnams = [MIDNAM_NONE].concat(listMidnamFiles());
-      midnamList.setItems(midnams);
+      const midnams = listMidnamChoices();
+      midnamList.setItems(midnams.map(midnamChoiceLabel));
       midnamList._midnams = midnams;
 
       // MIDI OUT abstraction: choose a SLOT (midiports.json), not a physical port name.
@@ -1343,10 +2216,16 @@ function runPM2(action)
 
       const mid = m.midnamFile ? m.midnamFile : "<no midnam>";
       let dev = "?";
-      try { dev = model.peekMidnamDeviceName(m.midnamFile); } catch { dev = "?"; }
+      try { dev = model.peekMidnamDeviceName(m.midnamFile, m.midnamModel); } catch { dev = "?"; }
 
       const idPart = withId ? `  {gray-fg}(${m.id}){/gray-fg}` : "";
-      return `${m.name}  {gray-fg}[${outTxt} / ${ch}]{/gray-fg}  {gray-fg}${dev}{/gray-fg}  {gray-fg}(${mid}){/gray-fg}${idPart}`;
+      const partsPart = (m.parts || []).length ? `  {cyan-fg}[${blessed.escape(formatPartsText(m.parts))}]{/cyan-fg}` : "";
+      const bs = normalizeBankSelect(m.bankSelect);
+      const isDefaultBank = bs.mode === "both" && bs.order === "bank-pc" && !bs.programBase && !bs.delayMs;
+      const bankPart = (isDefaultBank ? "" : `  {yellow-fg}[${bankProfileToText(bs)}]{/yellow-fg}`) +
+        (m.sendDelayMs ? `  {yellow-fg}[gap ${m.sendDelayMs}ms]{/yellow-fg}` : "") +
+        (m.clock ? "  {green-fg}[clock]{/green-fg}" : "");
+      return `${m.name}  {gray-fg}[${outTxt} / ${ch}]{/gray-fg}  {gray-fg}${dev}{/gray-fg}  {gray-fg}(${mid}){/gray-fg}${partsPart}${bankPart}${idPart}`;
     }
 
     function refreshMachinesList(keepId)
@@ -1393,6 +2272,7 @@ function runPM2(action)
     {
       nameBox.setValue("");
       chBox.setValue("1");
+      partsBox.setValue("");
       midnamList.select(0);
       outList.select(0);
       _editId = null;
@@ -1408,12 +2288,14 @@ function runPM2(action)
 
       nameBox.setValue(m.name || "");
       chBox.setValue(String(m.channel || 1));
+      partsBox.setValue(formatPartsText(m.parts));
 
-      const midnams = midnamList._midnams || [MIDNAM_NONE];
+      const midnams = midnamList._midnams || [{ file: MIDNAM_NONE, model: null }];
       const slots = outList._slots || [null];
 
       const mid = m.midnamFile || MIDNAM_NONE;
-      let mi = midnams.findIndex(x => x === mid);
+      let mi = midnams.findIndex(x => x.file === mid && x.model === m.midnamModel);
+      if (mi < 0) mi = midnams.findIndex(x => x.file === mid);
       if (mi < 0) mi = 0;
       midnamList.select(mi);
 
@@ -1463,6 +2345,7 @@ function runPM2(action)
 
       nameBox.setValue("New machine");
       chBox.setValue("1");
+      partsBox.setValue("");
       midnamList.select(0);
       outList.select(0);
 
@@ -1497,14 +2380,14 @@ function runPM2(action)
       if (_editMode !== "edit" && _editMode !== "create") return;
 
       const midnams = midnamList._midnams || [];
-      const sel = midnams[midnamList.selected] || MIDNAM_NONE;
-      if (sel === MIDNAM_NONE) return;
+      const sel = midnams[midnamList.selected];
+      if (!sel || sel.file === MIDNAM_NONE) return;
 
       const current = nameBox.getValue();
       if (!shouldAutofillName(current)) return;
 
       let dev = null;
-      try { dev = model.peekMidnamDeviceName(sel); } catch { dev = null; }
+      try { dev = model.peekMidnamDeviceName(sel.file, sel.model); } catch { dev = null; }
       if (!dev) return;
 
       nameBox.setValue(dev);
@@ -1522,24 +2405,32 @@ function runPM2(action)
         return;
       }
 
-      const midnams = midnamList._midnams || [MIDNAM_NONE];
+      const midnams = midnamList._midnams || [];
       const slots = outList._slots || [null];
 
-      const midSel = midnams[midnamList.selected] || MIDNAM_NONE;
+      const midSel = midnams[midnamList.selected] || { file: MIDNAM_NONE, model: null };
       const slotSel = slots[outList.selected] || null;
 
       let ch = parseInt(String(chBox.getValue() || "1").trim(), 10);
       if (!Number.isFinite(ch)) ch = 1;
       ch = Math.max(1, Math.min(16, ch));
 
+      const parts = parsePartsText(partsBox.getValue());
+      if (parts.errors.length)
+      {
+        setStatus(`Invalid part(s): ${blessed.escape(parts.errors.join(", "))} (expected name=channel, channel 1..16)`, "err");
+        partsBox.focus();
+        return;
+      }
+
       let name = String(nameBox.getValue() || "").trim() || "Machine";
 
       // If the name is generic and we have a MIDNAM, “save” a proper name.
-      if (shouldAutofillName(name) && midSel !== MIDNAM_NONE)
+      if (shouldAutofillName(name) && midSel.file !== MIDNAM_NONE)
       {
         try
         {
-          const dev = model.peekMidnamDeviceName(midSel);
+          const dev = model.peekMidnamDeviceName(midSel.file, midSel.model);
           if (dev) name = dev;
         }
         catch { }
@@ -1547,10 +2438,12 @@ function runPM2(action)
 
       const payload = {
         name,
-        midnamFile: (midSel === MIDNAM_NONE ? null : midSel),
+        midnamFile: (midSel.file === MIDNAM_NONE ? null : midSel.file),
+        midnamModel: (midSel.file === MIDNAM_NONE ? null : midSel.model),
         outSlot: (slotSel ? slotSel.slot : null),
         out: null, // legacy field cleared; actual routing is via outSlot
-        channel: ch
+        channel: ch,
+        parts: parts.parts
       };
 
       let saved = null;
@@ -1583,7 +2476,7 @@ function runPM2(action)
       fillEditorFromMachine(saved);
 
       setStatus(
-        `Machine saved: ${saved.name}\nMIDNAM=${saved.midnamFile || "-"} | OUT=${saved.out || "-"} | CH=${saved.channel}`,
+        `Machine saved: ${saved.name}\nMIDNAM=${saved.midnamFile || "-"}${saved.midnamModel ? ` (${saved.midnamModel})` : ""} | OUT=${saved.out || "-"} | CH=${saved.channel}${saved.parts.length ? ` | PARTS=${saved.parts.length}` : ""}`,
         "ok"
       );
 
@@ -1617,6 +2510,7 @@ function runPM2(action)
           setStatus("Error deleting machine.", "err");
           return;
         }
+        model.overlays.remove(m.id);
 
         refreshMachinesList(null);
 
@@ -1678,21 +2572,21 @@ function runPM2(action)
       refreshEditorFieldFocus();
     }
 
-    [machinesList, nameBox, midnamList, outList, chBox, status].forEach(w =>
+    [machinesList, nameBox, midnamList, outList, chBox, partsBox, status].forEach(w =>
     {
       w.on("focus", () => { refreshFocusMarkers(); screen.render(); });
       w.on("blur", () => { refreshFocusMarkers(); screen.render(); });
     });
 
     // Also listen directly on editor widgets (more reliable)
-    [nameBox, midnamList, outList, chBox].forEach(w =>
+    [nameBox, midnamList, outList, chBox, partsBox].forEach(w =>
     {
       w.on("focus", () => { refreshEditorFieldFocus(); screen.render(); });
       w.on("blur", () => { refreshEditorFieldFocus(); screen.render(); });
     });
 
     // TAB navigation inside editor
-    const edFocusables = [nameBox, midnamList, outList, chBox];
+    const edFocusables = [nameBox, midnamList, outList, chBox, partsBox];
     let edFocusIndex = 0;
 
     function edFocusNext()
@@ -1718,14 +2612,14 @@ function runPM2(action)
     // System settings
     kb.bindKey(["t"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       switchPage("system");
     });
 
     // Keys page
     kb.bindKey(["p"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       if (_editMode !== "view")
       {
         setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
@@ -1735,25 +2629,25 @@ function runPM2(action)
     });
     kb.bindKey(["q"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       switchPage("browse");
     });
 
     kb.bindKey(["n"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       beginCreate();
     });
 
     kb.bindKey(["e"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       beginEdit();
     });
 
     kb.bindKey(["x", "delete"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       if (_editMode === "edit" || _editMode === "create")
       {
         setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
@@ -1762,16 +2656,80 @@ function runPM2(action)
       deleteSelectedMachine();
     });
 
+    kb.bindKey(["b"], () =>
+    {
+      if (isModalOpen()) return;
+      openBankModal();
+    });
+
+    kb.bindKey(["r"], () =>
+    {
+      if (isModalOpen()) return;
+      if (_editMode !== "view")
+      {
+        setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
+        return;
+      }
+
+      setStatus("Rescanning .midnam library...", "warn");
+      screen.render();
+
+      const r = model.rebuildMidnamIndex();
+      refreshMidnamAndOutLists();
+      refreshMachinesList();
+
+      const errs = r.errors.length ? ` | ${r.errors.length} error(s): ${r.errors[0].file}: ${r.errors[0].error}` : "";
+      setStatus(`Library: ${r.total} file(s), ${r.parsed} re-indexed${errs}`, r.errors.length ? "warn" : "ok");
+    });
+
+    kb.bindKey(["v"], () =>
+    {
+      if (isModalOpen()) return;
+      openLintModal(false);
+    });
+
+    kb.bindKey(["S-v"], () =>
+    {
+      if (isModalOpen()) return;
+      openLintModal(true);
+    });
+
+    kb.bindKey(["i"], () =>
+    {
+      if (isModalOpen()) return;
+      openScanModal();
+    });
+
+    kb.bindKey(["w"], () =>
+    {
+      if (isModalOpen()) return;
+      if (_editMode !== "view")
+      {
+        setStatus("You are editing. Cancel (Esc) or save (Ctrl+S) first.", "warn");
+        return;
+      }
+
+      const m = getSelectedMachine();
+      if (!m)
+      {
+        setStatus("No machine selected.", "warn");
+        return;
+      }
+
+      const r = model.exportMachineMidnam(m.id);
+      setStatus(r.message, r.ok ? "ok" : "err");
+    });
+
     kb.bindKey(["C-s"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
       saveEditor();
     });
 
     // TAB: if focus is in editor, rotate; otherwise switch list/editor
     kb.bindKey(["tab"], () =>
     {
-      if (!confirmModal.hidden) return;
+      if (isModalOpen()) return;
 
       if (screen.focused === machinesList)
       {
@@ -1793,6 +2751,7 @@ function runPM2(action)
     // Enter: validate field (not save)
     nameBox.on("submit", () => edFocusNext());
     chBox.on("submit", () => edFocusNext());
+    partsBox.on("submit", () => edFocusNext());
     midnamList.key(["enter"], () => edFocusNext());
     outList.key(["enter"], () => edFocusNext());
 
@@ -1800,6 +2759,9 @@ function runPM2(action)
     kb.bindKey(["escape"], () =>
     {
       if (!confirmModal.hidden) { closeConfirm(true, null); return; }
+      if (!bankModal.hidden) { closeBankModal(); return; }
+      if (!lintModal.hidden) { closeLintModal(); return; }
+      if (!scanModal.hidden) { closeScanModal(); return; }
 
       if (_editMode === "view")
       {
@@ -1851,6 +2813,10 @@ function runPM2(action)
     {
       kb.unbindAllKeys();
       try { confirmModal.hide(); } catch { }
+      try { bankModal.hide(); } catch { }
+      try { lintModal.hide(); } catch { }
+      try { scanModal.hide(); } catch { }
+      _pageClosed = true;
     };
   }
 
@@ -1882,7 +2848,7 @@ function runPM2(action)
       tags: true,
       style: THEME.header,
       content:
-        "{bold}Tab{/bold} focus | {bold}Enter{/bold} assign output -> slot | {bold}r{/bold} rename slot | {bold}c{/bold} clear | {bold}s{/bold} save | {bold}t{/bold} system | {bold}q{/bold} back"
+        "{bold}Tab{/bold} focus | {bold}Enter{/bold} assign output -> slot | {bold}r{/bold} rename slot | {bold}d{/bold} send gap | {bold}c{/bold} clear | {bold}s{/bold} save | {bold}t{/bold} system | {bold}q{/bold} back"
     });
 
     const slotsList = blessed.list({
@@ -1992,9 +2958,10 @@ function runPM2(action)
 
     let _inputCb = null;
 
-    function askLabel(initial, cb)
+    function askLabel(initial, cb, question)
     {
       _inputCb = cb;
+      inputQuestion.setContent(question || "Slot label:");
       inputBox.setValue(initial || "");
       inputModal.show();
       inputBox.focus();
@@ -2037,7 +3004,8 @@ function runPM2(action)
       const num = String(s.slot).padStart(3, "0");
       const label = s.label ? s.label : `Slot ${num}`;
       const port = s.port ? s.port : "-";
-      return `${num}  {cyan-fg}${label}{/cyan-fg}  {gray-fg}=> ${port}{/gray-fg}`;
+      const gap = s.delayMs ? `  {yellow-fg}[gap ${s.delayMs}ms]{/yellow-fg}` : "";
+      return `${num}  {cyan-fg}${label}{/cyan-fg}  {gray-fg}=> ${port}{/gray-fg}${gap}`;
     }
 
     function refreshSlots(keepSlot)
@@ -2094,6 +3062,7 @@ function runPM2(action)
       info.setContent(
         `{bold}${num} - ${label}{/bold}\n` +
         `{gray-fg}Assigned port:{/gray-fg} ${port}\n` +
+        `{gray-fg}Send gap:{/gray-fg} ${s.delayMs || 0} ms\n` +
         `{gray-fg}Tip:{/gray-fg} Enter on right list to assign`
       );
 
@@ -2174,6 +3143,31 @@ function runPM2(action)
       });
     }
 
+    function setSelectedSlotDelay()
+    {
+      const s = getSelectedSlot();
+      if (!s) return;
+
+      askLabel(String(s.delayMs || 0), (err, value) =>
+      {
+        if (err) return;
+
+        const n = parseInt(String(value || "").trim(), 10);
+        if (!Number.isFinite(n) || n < 0 || n > 1000)
+        {
+          setStatus("Send gap must be 0..1000 ms.", "warn");
+          return;
+        }
+
+        model.midiports.setDelay(s.slot, n);
+        setStatus(`Slot ${String(s.slot).padStart(3, "0")} send gap: ${n} ms`, "ok");
+        refreshSlots(s.slot);
+        refreshInfo();
+        refreshFocusMarkers();
+        screen.render();
+      }, "Min. gap between messages on this port (ms, 0..1000):");
+    }
+
     function save()
     {
       if (!model.midiports || !model.midiports.save)
@@ -2245,6 +3239,12 @@ function runPM2(action)
       clearSelectedPort();
     });
 
+    kb.bindKey(["d"], () =>
+    {
+      if (!inputModal.hidden) return;
+      setSelectedSlotDelay();
+    });
+
     kb.bindKey(["s"], () =>
     {
       if (!inputModal.hidden) return;
@@ -2311,7 +3311,7 @@ function runPM2(action)
       content:
         "{bold}{yellow-fg}GENERAL CMDS :{/yellow-fg} Tab{/bold} focus | {bold}Enter{/bold} recall | {bold}PgUp / PgDwn{/bold} quick select entry | {bold}Esc / q{/bold} back \n" +
         "{bold}{yellow-fg}SETLIST CMDS :{/yellow-fg} n{/bold} new setlist | {bold}x{/bold} rename setlist | {bold}w{/bold} delete setlist | {bold}h{/bold} assign hotkey to entry\n" +
-        "{bold}{yellow-fg}ENTRY CMDS   :{/yellow-fg} a{/bold} save draft | {bold}p{/bold} paste draft | {bold}e{/bold} edit routes | {bold}c{/bold} copy entry | {bold}r{/bold} rename entry | {bold}d{/bold} delete entry | {bold}v/b{/bold} move entry up/down"
+        "{bold}{yellow-fg}ENTRY CMDS   :{/yellow-fg} a{/bold} save draft | {bold}p{/bold} paste draft | {bold}e{/bold} edit routes | {bold}c{/bold} copy entry | {bold}r{/bold} rename entry | {bold}i{/bold} notes | {bold}k{/bold} tempo / clock ({bold}s{/bold} start/stop) | {bold}d{/bold} delete entry | {bold}v/b{/bold} move entry up/down"
     });
 
     const setlistInfo = blessed.box({
@@ -2483,6 +3483,86 @@ function runPM2(action)
     inputBox.on("submit", (value) => closeInputModal(false, value));
     inputBox.key(["escape"], () => closeInputModal(true, null));
 
+    // ------- Entry notes modal -------
+
+    const notesModal = blessed.box({
+      parent: frame,
+      top: "center",
+      left: "center",
+      width: "70%",
+      height: "60%",
+      border: "line",
+      label: " Entry Notes ",
+      tags: true,
+      hidden: true,
+      style: THEME.modal,
+      padding: { left: 1, right: 1 }
+    });
+
+    const notesArea = blessed.textarea({
+      parent: notesModal,
+      top: 0,
+      left: 0,
+      height: "100%-4",
+      width: "100%-4",
+      border: "line",
+      style: THEME.input
+    });
+
+    blessed.box({
+      parent: notesModal,
+      bottom: 0,
+      left: 0,
+      height: 1,
+      width: "100%-5",
+      tags: true,
+      content: "{bold}Ctrl+S{/bold} save | {bold}Esc{/bold} cancel | the first lines scroll on the remote after recall"
+    });
+
+    let _notesEntryId = null;
+    let _notesSave = false;
+
+    function openNotesEditor(e)
+    {
+      _notesEntryId = e.id;
+      _notesSave = false;
+
+      notesModal.setLabel(` ${FOCUS_MARK} Entry Notes - ${e.name} `);
+      notesArea.setValue(e.notes || "");
+      notesModal.show();
+      notesModal.setFront();
+      notesArea.focus();
+      notesArea.readInput(() => closeNotesEditor());
+      screen.render();
+    }
+
+    function closeNotesEditor()
+    {
+      try { notesModal.hide(); } catch { }
+
+      const entryId = _notesEntryId;
+      _notesEntryId = null;
+
+      if (_notesSave && entryId)
+      {
+        const ok = model.setEntryNotes(entryId, notesArea.getValue());
+        setStatus(ok ? "Notes saved." : "Notes: save error.", ok ? "ok" : "err");
+        refreshEntries(entryId);
+      }
+      else setStatus("Notes: cancelled.", "warn");
+
+      try { entriesList.focus(); } catch { }
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    // Esc termine la saisie sans sauver; Ctrl+S la termine en sauvant
+    notesArea.key(["C-s"], () =>
+    {
+      _notesSave = true;
+      notesArea.cancel();
+    });
+
     // ------- Routes editor modal -------
 
     const routesModal = blessed.box({
@@ -2514,7 +3594,7 @@ function runPM2(action)
       top: 3,
       left: 0,
       width: "60%-1",
-      height: "100%-13",
+      height: "100%-15",
       border: "line",
       keys: true,
       vi: true,
@@ -2543,59 +3623,24 @@ function runPM2(action)
       height: 2,
       width: "100%-3",
       tags: true,
-      content: "{bold}↑↓{/bold} select | {bold}Enter{/bold} replace from Draft | {bold}c{/bold} CC quick edit | {bold}Del{/bold} remove | {bold}Esc{/bold} close"
+      content: "{bold}↑↓{/bold} select | {bold}Enter{/bold} replace from Draft | {bold}c{/bold}/{bold}Tab{/bold} messages ({bold}a{/bold} add, {bold}Enter{/bold} edit, {bold}v{/bold}/{bold}b{/bold} move, {bold}Del{/bold} delete) | {bold}x{/bold} SysEx | {bold}o{/bold} overrides | {bold}Del{/bold} remove | {bold}Esc{/bold} close"
     });
 
-    // CC quick edit panel (4 slots)
-    const ccPanel = blessed.box({
+    // Route messages panel (ordered MIDI message list sent after bank/PC)
+    const msgList = blessed.list({
       parent: routesModal,
       bottom: 2,
       left: 0,
       width: "60%-1",
-      height: 6,
+      height: 8,
       border: "line",
-      label: " CC quick edit  {gray-fg}format {cc#:value} or cc#=value{/gray-fg} ",
-      tags: true,
-      style: { border: THEME.panel.border },
-      padding: { left: 1, right: 1 }
+      label: " Messages ",
+      keys: true,
+      vi: true,
+      tags: false,
+      style: THEME.list
     });
 
-    function makeCCField(i, leftExpr)
-    {
-      blessed.box({
-        parent: ccPanel,
-        top: 0,
-        left: leftExpr,
-        width: "25%-3",
-        height: 1,
-        tags: true,
-        // note: "{7:96}" inside a tags box is fine; inside textbox it's not, so we keep tags:false there
-        content: `{bold}CC${i}{/bold}`
-      });
-
-      const box = blessed.textbox({
-        parent: ccPanel,
-        top: 1,
-        left: leftExpr,
-        width: "25%-3",
-        height: 3,
-        border: "line",
-        inputOnFocus: true,
-        keys: true,
-        vi: true,
-        tags: false,
-        style: THEME.input
-      });
-
-      return box;
-    }
-
-    const ccBox1 = makeCCField(1, 0);
-    const ccBox2 = makeCCField(2, "25%");
-    const ccBox3 = makeCCField(3, "50%");
-    const ccBox4 = makeCCField(4, "75%");
-    const ccBoxes = [ccBox1, ccBox2, ccBox3, ccBox4];
-
 
     let _routesEntryId = null;
 
@@ -2612,8 +3657,7 @@ function runPM2(action)
         setLabelWithFocus(routesList, "Routes", screen.focused === routesList);
         setLabelWithFocus(routeInfo, "Route details", screen.focused === routeInfo);
 
-        const ccFocused = ccBoxes.includes(screen.focused);
-        setLabelWithFocus(ccPanel, "CC quick edit  {gray-fg}format {cc#:value} or cc#=value{/gray-fg}", ccFocused);
+        setLabelWithFocus(msgList, "Messages", screen.focused === msgList);
       }
 
       if (!inputModal.hidden) inputModal.setLabel(` ${FOCUS_MARK} Input `);
@@ -2622,7 +3666,7 @@ function runPM2(action)
       if (!routesModal.hidden) routesModal.setLabel(` ${FOCUS_MARK} Entry Routes Editor `);
     }
 
-    [setlistsList, entriesList, preview, status, routesList, routeInfo, ccPanel, ...ccBoxes].forEach(w =>
+    [setlistsList, entriesList, preview, status, routesList, routeInfo, msgList].forEach(w =>
     {
       w.on("focus", () => { refreshFocusMarkers(); screen.render(); });
       w.on("blur", () => { refreshFocusMarkers(); screen.render(); });
@@ -2637,157 +3681,97 @@ function runPM2(action)
       return t.slice(0, max - 3) + "...";
     }
 
-    function ccSlotsToText(ccSlots)
+    function messagesToText(messages)
     {
-      if (!Array.isArray(ccSlots) || !ccSlots.length) return "";
-      return ccSlots
-        .filter(s => s && Number.isFinite(Number(s.cc)) && Number.isFinite(Number(s.value)))
-        .slice(0, 4)
-        .map(s => `${Number(s.cc)|0}=${Number(s.value)|0}`)
-        .join(", ");
+      if (!Array.isArray(messages) || !messages.length) return "";
+      return messages.map(formatMessage).filter(Boolean).join(", ");
     }
 
-    function renderRouteInfo(r)
+    function sysexCount(r)
     {
-      if (!r)
-      {
-        routeInfo.setContent("<no route>");
-        return;
-      }
+      return (r && Array.isArray(r.sysex)) ? r.sysex.length : 0;
+    }
 
+    // "MOTIF ES / Part 2": machine + partie visée (max: longueur du nom de machine seul)
+    function routeMachineName(r, max)
+    {
       const m = model.machines.getById(r.machineId);
       const mName = (m && m.name) ? m.name : r.machineId;
-
-      const out = (model && typeof model.resolveMachineOut === "function")
-        ? (model.resolveMachineOut(m) || "default")
-        : ((m && m.out) ? m.out : "default");
-      const ch = (m && m.channel) ? `CH${m.channel}` : "CH?";
-
-      const bank = r.bankName || "Bank";
-      const msb = (r.msb == null) ? "-" : String(r.msb);
-      const lsb = (r.lsb == null) ? "-" : String(r.lsb);
-      const pc  = (r.program == null) ? "?" : String(r.program);
-      const p   = r.patchName || "Patch";
-
-      const slots = Array.isArray(r.ccSlots) ? r.ccSlots.slice(0, 4) : [];
-      const lines = [];
-      lines.push(`{bold}{cyan-fg}${_truncate(mName, 22)}{/cyan-fg}{/bold}`);
-      lines.push(`{gray-fg}${_truncate(out, 26)}{/gray-fg}  {gray-fg}${ch}{/gray-fg}`);
-      lines.push("");
-      lines.push(`{bold}{yellow-fg}Bank{/yellow-fg}{/bold}: ${_truncate(bank, 26)}`);
-      lines.push(`{gray-fg}MSB{/gray-fg} ${msb}   {gray-fg}LSB{/gray-fg} ${lsb}`);
-      lines.push(`{bold}{magenta-fg}PC{/magenta-fg}{/bold}: ${pc}`);
-      lines.push(`{bold}Patch{/bold}: ${_truncate(p, 32)}`);
-      lines.push("");
-
-      lines.push(`{bold}{green-fg}CC slots{/green-fg}{/bold} {gray-fg}(press c to edit){/gray-fg}`);
-      for (let i = 0; i < 4; i++)
-      {
-        const s = slots[i];
-        const cc = (s && Number.isFinite(Number(s.cc))) ? (Number(s.cc) | 0) : null;
-        const vv = (s && Number.isFinite(Number(s.value))) ? (Number(s.value) | 0) : null;
-        const txt = (cc == null || vv == null)
-          ? "--"
-          : `{bold}${cc}{/bold}={bold}${vv}{/bold}`;
-        lines.push(` ${i + 1}. ${txt}`);
-      }
-
-      routeInfo.setContent(lines.join("\n"));
+      const name = max ? _truncate(mName, max) : mName;
+      return r.part ? `${name} / ${r.part}` : name;
     }
 
-    // --- CC single slot formatting/parsing (quick edit) ---
-
-    function formatSingleCCSlot(s)
+    // Canal de la route (partie visée sinon machine); partie supprimée de la machine: "CH?"
+    function routeChannelText(r)
     {
-      if (!s) return "";
-      const cc = Number(s.cc);
-      const vv = Number(s.value);
-      if (!Number.isFinite(cc) || !Number.isFinite(vv)) return "";
-      return `{${(cc|0)}:${(vv|0)}}`;
+      const ch = model.resolveRouteChannel(r);
+      return ch ? `CH${ch}` : (r.part ? "{red-fg}CH? (no part){/red-fg}" : "CH?");
     }
 
-    function parseSingleCCSlotText(text)
+    function isSameRoute(a, b)
     {
-      const t = String(text || "").trim();
-      if (!t) return null;
-
-      // {7:96}
-      let m = t.match(/^\{\s*(\d{1,3})\s*:\s*(\d{1,3})\s*\}$/);
-      if (!m)
-      {
-        // 7=96
-        m = t.match(/^(\d{1,3})\s*=\s*(\d{1,3})$/);
-      }
-      if (!m) return null;
-
-      let cc = Number(m[1]);
-      let value = Number(m[2]);
-      if (!Number.isFinite(cc) || !Number.isFinite(value)) return null;
-
-      cc = Math.max(0, Math.min(127, cc|0));
-      value = Math.max(0, Math.min(127, value|0));
-      return { cc, value };
+      return !!a && !!b && a.machineId === b.machineId && (a.part || null) === (b.part || null);
     }
 
-    function getCCSlotsFromBoxes()
+    function renderRouteInfo(r)
     {
-      const out = [];
-      for (const b of ccBoxes)
+      if (!r)
       {
-        const s = parseSingleCCSlotText(b.getValue());
-        if (s) out.push(s);
-        if (out.length >= 4) break;
+        routeInfo.setContent("<no route>");
+        return;
       }
-      return out;
-    }
 
-    function setBoxesFromCCSlots(ccSlots)
-    {
-      const slots = Array.isArray(ccSlots) ? ccSlots.slice(0, 4) : [];
-      for (let i = 0; i < 4; i++)
-      {
-        ccBoxes[i].setValue(formatSingleCCSlot(slots[i]));
-      }
-    }
+      const m = model.machines.getById(r.machineId);
+      const mName = routeMachineName(r, 22);
 
-    function parseCCSlotsText(text)
-    {
-      const t = String(text || "").trim();
-      if (!t) return [];
+      const out = (model && typeof model.resolveMachineOut === "function")
+        ? (model.resolveMachineOut(m) || "default")
+        : ((m && m.out) ? m.out : "default");
+      const ch = routeChannelText(r);
 
-      const parts = t.split(/[;,]/).map(x => x.trim()).filter(Boolean);
-      const out = [];
+      const bank = r.bankName || "Bank";
+      const msb = (r.msb == null) ? "-" : String(r.msb);
+      const lsb = (r.lsb == null) ? "-" : String(r.lsb);
+      const pc  = (r.program == null) ? "?" : String(r.program);
+      const p   = r.patchName || "Patch";
 
-      for (const p of parts)
+      const lines = [];
+      lines.push(`{bold}{cyan-fg}${mName}{/cyan-fg}{/bold}`);
+      lines.push(`{gray-fg}${_truncate(out, 26)}{/gray-fg}  {gray-fg}${ch}{/gray-fg}`);
+      lines.push("");
+      lines.push(`{bold}{yellow-fg}Bank{/yellow-fg}{/bold}: ${_truncate(bank, 26)}`);
+      lines.push(`{gray-fg}MSB{/gray-fg} ${msb}   {gray-fg}LSB{/gray-fg} ${lsb}`);
+      lines.push(`{bold}{magenta-fg}PC{/magenta-fg}{/bold}: ${pc}`);
+      lines.push(`{bold}Patch{/bold}: ${_truncate(p, 32)}`);
+      if (Array.isArray(r.commands) && r.commands.length)
       {
-        const m = p.match(/^(\d{1,3})\s*=\s*(\d{1,3})$/);
-        if (!m) continue;
-
-        let cc = Number(m[1]);
-        let value = Number(m[2]);
-
-        if (!Number.isFinite(cc) || !Number.isFinite(value)) continue;
+        lines.push(`{gray-fg}Patch cmds{/gray-fg}: ${_truncate(r.commands.map(formatMessage).join(", "), 30)}`);
+      }
+      lines.push("");
 
-        cc = Math.max(0, Math.min(127, cc|0));
-        value = Math.max(0, Math.min(127, value|0));
+      const ovr = formatRouteOverrides(r);
+      lines.push(`{bold}{green-fg}Overrides{/green-fg}{/bold}: ${ovr || "--"} {gray-fg}(press o to edit){/gray-fg}`);
 
-        out.push({ cc, value });
+      const msgs = Array.isArray(r.messages) ? r.messages : [];
+      lines.push(`{bold}{green-fg}Messages{/green-fg}{/bold}: ${msgs.length} {gray-fg}(press c to edit){/gray-fg}`);
 
-        if (out.length >= 4) break;
-      }
+      const sysex = Array.isArray(r.sysex) ? r.sysex : [];
+      lines.push(`{bold}{green-fg}SysEx{/green-fg}{/bold} {gray-fg}(press x to edit){/gray-fg}`);
+      if (!sysex.length) lines.push(" --");
+      sysex.forEach((hex, i) => lines.push(` ${i + 1}. ${_truncate(hex, 34)}`));
 
-      return out;
+      routeInfo.setContent(lines.join("\n"));
     }
 
     function formatRouteLine(r)
     {
       const m = model.machines.getById(r.machineId);
-      const mName = (m && m.name) ? m.name : r.machineId;
+      const mName = routeMachineName(r, 18);
 
       const out = (model && typeof model.resolveMachineOut === "function")
         ? (model.resolveMachineOut(m) || "default")
         : ((m && m.out) ? m.out : "default");
-      const ch = (m && m.channel) ? `CH${m.channel}` : "CH?";
+      const ch = routeChannelText(r);
 
       const bank = r.bankName || "Bank";
       const msb = (r.msb == null) ? "-" : String(r.msb);
@@ -2795,15 +3779,20 @@ function runPM2(action)
       const pc  = (r.program == null) ? "?" : String(r.program);
       const p   = r.patchName || "Patch";
 
-      const ccText = ccSlotsToText(r.ccSlots);
-      const ccPart = ccText ? `  {green-fg}CC{/green-fg} {white-fg}${ccText}{/white-fg}` : "";
+      const msgText = messagesToText(r.messages);
+      const msgPart = msgText ? `  {green-fg}MSG{/green-fg} {white-fg}${_truncate(msgText, 40)}{/white-fg}` : "";
+      const sxPart = sysexCount(r) ? `  {green-fg}SX{/green-fg} {white-fg}${sysexCount(r)}{/white-fg}` : "";
+      const ovrText = formatRouteOverrides(r);
+      const ovrPart = ovrText ? `  {green-fg}OVR{/green-fg} {white-fg}${ovrText}{/white-fg}` : "";
 
       return (
-        `{cyan-fg}${_truncate(mName, 18)}{/cyan-fg} {gray-fg}[${_truncate(out, 18)} ${ch}]{/gray-fg}  ` +
+        `{cyan-fg}${mName}{/cyan-fg} {gray-fg}[${_truncate(out, 18)} ${ch}]{/gray-fg}  ` +
         `{yellow-fg}${_truncate(bank, 14)}{/yellow-fg} {gray-fg}(${msb}/${lsb}){/gray-fg}  ` +
         `{magenta-fg}PC ${pc}{/magenta-fg}  ` +
         `{white-fg}${_truncate(p, 26)}{/white-fg}` +
-        ccPart
+        msgPart +
+        sxPart +
+        ovrPart
       );
     }
 
@@ -2819,7 +3808,7 @@ function runPM2(action)
       return routes[routesList.selected] || null;
     }
 
-    function openRoutesEditor(entryId, keepMachineId)
+    function openRoutesEditor(entryId, keepRoute)
     {
       const e = (entriesList._entries || []).find(x => x.id === entryId) || getSelectedEntry();
       if (!e)
@@ -2832,7 +3821,7 @@ function runPM2(action)
 
       routesTitle.setContent( 
         `{bold}${e.name}{/bold}\n` +
-        `{gray-fg}Tip: build Draft in Browse (a), then Enter here to apply per machine. CC quick edit is above, using (c) key.{/gray-fg}`
+        `{gray-fg}Tip: build Draft in Browse (a), then Enter here to apply per machine. Route messages are below, using (c) key.{/gray-fg}`
       );
 
       const routes = Array.isArray(e.routes) ? e.routes : [];
@@ -2842,16 +3831,16 @@ function runPM2(action)
       routesList.setItems(items);
 
       let idx = 0;
-      if (keepMachineId && routes.length)
+      if (keepRoute && routes.length)
       {
-        const found = routes.findIndex(x => x.machineId === keepMachineId);
+        const found = routes.findIndex(x => isSameRoute(x, keepRoute));
         if (found >= 0) idx = found;
       }
       routesList.select(idx);
 
       const r0 = routes.length ? (routes[idx] || routes[0]) : null;
       renderRouteInfo(r0);
-      setBoxesFromCCSlots(r0 ? r0.ccSlots : []);
+      setMessageItems(r0 ? r0.messages : []);
 
       routesModal.setLabel(` Entry Routes Editor ... {gray-fg}(${routes.length}){/gray-fg} `);
       routesModal.show();
@@ -2875,7 +3864,7 @@ function runPM2(action)
     {
       const r = getSelectedRouteInModal();
       renderRouteInfo(r);
-      setBoxesFromCCSlots(r ? r.ccSlots : []);
+      setMessageItems(r ? r.messages : []);
       screen.render();
     });
 
@@ -2883,82 +3872,151 @@ function runPM2(action)
     {
       const r = getSelectedRouteInModal();
       renderRouteInfo(r);
-      setBoxesFromCCSlots(r ? r.ccSlots : []);
+      setMessageItems(r ? r.messages : []);
       screen.render();
     });
 
-    // Save CC quick edit back to model for selected route
-    function saveCCBoxesToSelectedRoute()
+    // ------- Route messages editor -------
+
+    function setMessageItems(messages, keepIndex)
     {
-      const entryId = _routesEntryId;
-      const r = getSelectedRouteInModal();
-      if (!entryId || !r) return;
+      const list = Array.isArray(messages) ? messages : [];
+      msgList._messages = list;
 
-      if (!model.updateEntryRouteCC)
+      const items = list.length
+        ? list.map((m, i) => `${String(i + 1).padStart(2, "0")}. ${formatMessage(m)}`)
+        : ["<no messages: press a to add>"];
+
+      msgList.setItems(items);
+      msgList.select(Math.max(0, Math.min(items.length - 1, keepIndex || 0)));
+    }
+
+    function focusMessages(keepIndex)
+    {
+      const r = getSelectedRouteInModal();
+      if (!r)
       {
-        setStatus("Missing model.updateEntryRouteCC().", "err");
+        setStatus("No route selected.", "warn");
         return;
       }
 
-      const ccSlots = getCCSlotsFromBoxes();
-      const res = model.updateEntryRouteCC(entryId, r.machineId, ccSlots);
+      setMessageItems(r.messages, keepIndex);
+      msgList.focus();
+      refreshFocusMarkers();
+      screen.render();
+    }
+
+    // Save the whole list for the selected route, then reopen with focus back on the list
+    function saveRouteMessages(messages, keepIndex)
+    {
+      const entryId = _routesEntryId;
+      const r = getSelectedRouteInModal();
+      if (!entryId || !r) return;
 
+      const res = model.updateEntryRouteMessages(entryId, r.machineId, messages, r.part);
       setStatus(
-        res && res.message ? res.message : (res?.ok ? "CC updated." : "CC update failed."),
+        res && res.message ? res.message : (res?.ok ? "Messages updated." : "Messages update failed."),
         res?.ok ? "ok" : "err"
       );
 
       refreshEntries(entryId);
-      openRoutesEditor(entryId, r.machineId);
+      openRoutesEditor(entryId, r);
+      focusMessages(keepIndex);
+    }
+
+    function askMessage(question, initialValue, cb)
+    {
+      inputModal.setFront();
+
+      askInput(question, initialValue, (err, value) =>
+      {
+        setImmediate(() =>
+        {
+          if (err)
+          {
+            focusMessages(msgList.selected);
+            return;
+          }
+
+          let m = null;
+          try
+          {
+            m = parseMessageText(value);
+          }
+          catch (ex)
+          {
+            setStatus(ex.message, "err");
+            focusMessages(msgList.selected);
+            return;
+          }
+
+          cb(m);
+        });
+      });
     }
 
-    function focusCCBox(i)
+    const MESSAGE_HELP = "{gray-fg}cc 7=100, cc14 1=8192, nrpn 1:8=64, rpn 0=2:0, pc 5, pb -200, raw B0 07 64, +50ms cc 1=0{/gray-fg}";
+
+    // Key: c / tab focuses the message list
+    routesList.key(["c", "tab"], () => focusMessages(0));
+    msgList.key(["tab"], () =>
     {
-      const b = ccBoxes[i];
-      if (!b) return;
-      b.focus();
-      try { b.readInput(); } catch { }
+      routesList.focus();
       refreshFocusMarkers();
       screen.render();
-    }
+    });
 
-    // Enter in CC fields: go next; last saves.
-    ccBoxes.forEach((box, idx) =>
+    msgList.key(["a"], () =>
     {
-      box.on("submit", () =>
+      const list = (msgList._messages || []).slice();
+      const at = list.length ? msgList.selected + 1 : 0;
+
+      askMessage(`Add message:\n${MESSAGE_HELP}`, "", (m) =>
       {
-        if (idx < ccBoxes.length - 1) focusCCBox(idx + 1);
-        else
-        {
-          saveCCBoxesToSelectedRoute();
-          routesList.focus();
-          refreshFocusMarkers();
-          screen.render();
-        }
+        list.splice(at, 0, m);
+        saveRouteMessages(list, at);
       });
+    });
+
+    msgList.key(["enter"], () =>
+    {
+      const list = (msgList._messages || []).slice();
+      const i = msgList.selected;
+      if (!list[i]) return;
 
-      box.key(["escape"], () =>
+      askMessage(`Edit message ${i + 1}:\n${MESSAGE_HELP}`, formatMessage(list[i]), (m) =>
       {
-        // revert to current route values
-        const r = getSelectedRouteInModal();
-        setBoxesFromCCSlots(r ? r.ccSlots : []);
-        routesList.focus();
-        refreshFocusMarkers();
-        screen.render();
+        list[i] = m;
+        saveRouteMessages(list, i);
       });
     });
 
-    // Key: c focuses CC quick edit
-    routesList.key(["c"], () =>
+    msgList.key(["delete", "backspace"], () =>
     {
-      const r = getSelectedRouteInModal();
-      setBoxesFromCCSlots(r ? r.ccSlots : []);
-      focusCCBox(0);
+      const list = (msgList._messages || []).slice();
+      const i = msgList.selected;
+      if (!list[i]) return;
+
+      list.splice(i, 1);
+      saveRouteMessages(list, Math.max(0, i - 1));
     });
 
-    /*
-    // -- DISABLED BULK EDITOR but kept for legacy --
-    routesList.key(["v"], () =>
+    function moveSelectedMessage(delta)
+    {
+      const list = (msgList._messages || []).slice();
+      const i = msgList.selected;
+      const j = i + delta;
+      if (!list[i] || j < 0 || j >= list.length) return;
+
+      [list[i], list[j]] = [list[j], list[i]];
+      saveRouteMessages(list, j);
+    }
+
+    msgList.key(["v"], () => moveSelectedMessage(-1));
+    msgList.key(["b"], () => moveSelectedMessage(+1));
+
+    // Key: o edits the route overrides (channel, volume CC7, transpose RPN 2)
+    routesList.key(["o"], () =>
     {
       const entryId = _routesEntryId;
       const r = getSelectedRouteInModal();
@@ -2969,27 +4027,86 @@ function runPM2(action)
         return;
       }
 
-      if (!model.updateEntryRouteCC)
+      askInput("Overrides: ch=1..16 vol=0..127 tr=-24..24 (empty = machine defaults)", formatRouteOverrides(r), (err, value) =>
+      {
+        setImmediate(() =>
+        {
+          if (err)
+          {
+            routesList.focus();
+            screen.render();
+            return;
+          }
+
+          const parsed = parseRouteOverridesText(value);
+          if (parsed.errors.length)
+          {
+            setStatus(`Invalid override(s): ${blessed.escape(parsed.errors.join(" "))}`, "err");
+            routesList.focus();
+            screen.render();
+            return;
+          }
+
+          const res = model.updateEntryRouteOverrides(entryId, r.machineId, parsed.overrides, r.part);
+          setStatus(res && res.message ? res.message : (res?.ok ? "Overrides updated." : "Overrides update failed."), res?.ok ? "ok" : "err");
+
+          refreshEntries(entryId);
+          openRoutesEditor(entryId, r);
+        });
+      });
+    });
+
+    // Key: x edits the SysEx list (hex, one message per ";")
+    routesList.key(["x"], () =>
+    {
+      const entryId = _routesEntryId;
+      const r = getSelectedRouteInModal();
+
+      if (!entryId || !r)
       {
-        setStatus("Missing model.updateEntryRouteCC().", "err");
+        setStatus("No route selected.", "warn");
         return;
       }
 
-      const current = ccSlotsToText(r.ccSlots);
-      askInput("CC slots (max 4) for this route. Format: cc=value,cc=value", current, (err, value) =>
+      const current = (Array.isArray(r.sysex) ? r.sysex : []).join("; ");
+
+      askInput("SysEx sent before bank/PC (hex, F0 ... F7; separate messages with ;)", current, (err, value) =>
       {
-        if (err) return;
+        setImmediate(() =>
+        {
+          if (err)
+          {
+            routesList.focus();
+            screen.render();
+            return;
+          }
+
+          const list = [];
+          const parts = String(value || "").split(";").map(x => x.trim()).filter(Boolean);
 
-        const ccSlots = parseCCSlotsText(value);
-        const res = model.updateEntryRouteCC(entryId, r.machineId, ccSlots);
+          for (const part of parts)
+          {
+            try
+            {
+              list.push(formatSysExHex(parseSysExHex(part)));
+            }
+            catch (ex)
+            {
+              setStatus(`${ex.message} (${_truncate(part, 30)})`, "err");
+              routesList.focus();
+              screen.render();
+              return;
+            }
+          }
 
-        setStatus(res && res.message ? res.message : (res?.ok ? "CC updated." : "CC update failed."), res?.ok ? "ok" : "err");
+          const res = model.updateEntryRouteSysEx(entryId, r.machineId, list, r.part);
+          setStatus(res && res.message ? res.message : (res?.ok ? "SysEx updated." : "SysEx update failed."), res?.ok ? "ok" : "err");
 
-        refreshEntries(entryId);
-        openRoutesEditor(entryId, r.machineId);
+          refreshEntries(entryId);
+          openRoutesEditor(entryId, r);
+        });
       });
     });
-    */
 
     routesList.key(["enter"], () =>
     {
@@ -3008,22 +4125,22 @@ function runPM2(action)
         return;
       }
 
-      const res = model.updateEntryRouteFromDraft(entryId, r.machineId);
+      const res = model.updateEntryRouteFromDraft(entryId, r.machineId, r.part);
       setStatus(res && res.message ? res.message : (res?.ok ? "Route updated." : "Route update failed."), res?.ok ? "ok" : "err");
 
       refreshEntries(entryId);
-      openRoutesEditor(entryId, r.machineId);
+      openRoutesEditor(entryId, r);
     });
 
     routesList.key(["delete", "backspace"], () => 
     {
       const entryId = _routesEntryId;
       const r = getSelectedRouteInModal();
-      const m = model.machines.getById(r.machineId);
-      const mName = (m && m.name) ? m.name : r.machineId;
 
       if (!entryId || !r) return;
 
+      const mName = routeMachineName(r);
+
       inputModal.setFront(); 
 
       askInput(`Delete route for machine <${mName}>? Type "yes"`, "", (err, value) => 
@@ -3045,7 +4162,7 @@ function runPM2(action)
             return;
           }
 
-          const ok = model.removeEntryRoute(entryId, r.machineId);
+          const ok = model.removeEntryRoute(entryId, r.machineId, r.part);
           if (ok) 
           {
             setStatus("Route removed.", "ok");
@@ -3121,7 +4238,10 @@ function runPM2(action)
       const hk = model.getHotkeyForEntry(getSelectedSetlist().id, e.id)
       //const hk = Object.keys(model.getHotkeyForEntry(getSelectedSetlist().id, e.id)).join(", ");
 
-      return `{green-fg}${String(idx + 1).padStart(2, "0")}{/green-fg} ${String(e.name).padEnd(20, " ")}  {#FC6C47-fg}[HK: ${hk || "N/A"}]{/#FC6C47-fg}  {gray-fg}[${n} route(s)]{/gray-fg}`;
+      const tempo = formatEntryTempo(e);
+      const tempoPart = tempo ? `  {magenta-fg}[${tempo}]{/magenta-fg}` : "";
+
+      return `{green-fg}${String(idx + 1).padStart(2, "0")}{/green-fg} ${String(e.name).padEnd(20, " ")}  {#FC6C47-fg}[HK: ${hk || "N/A"}]{/#FC6C47-fg}  {gray-fg}[${n} route(s)]{/gray-fg}${tempoPart}`;
     }
 
     function refreshPreview()
@@ -3138,6 +4258,17 @@ function runPM2(action)
 
       const lines = [];
 
+      const tempo = formatEntryTempo(e);
+      if (tempo)
+      {
+        lines.push(`{#FFA500-fg}Tempo{/#FFA500-fg} {white-fg}${tempo}{/white-fg}\n`);
+      }
+
+      if (e.notes)
+      {
+        lines.push(`{#FFA500-fg}Notes{/#FFA500-fg}\n{white-fg}${blessed.escape(e.notes)}{/white-fg}\n`);
+      }
+
       if (!e.routes || !e.routes.length)
       {
         lines.push("<no routes>");
@@ -3148,10 +4279,9 @@ function runPM2(action)
 
       e.routes.forEach((r) =>
       {
-        const m = model.machines.getById(r.machineId);
-        const mName = (m && m.name) ? m.name : r.machineId;
+        const mName = routeMachineName(r);
 
-        const ch  = (m && m.channel) ? `CH${m.channel}` : "CH?";
+        const ch  = routeChannelText(r);
 
         const b = r.bankName || "Bank";
         const msb = (r.msb == null) ? "-" : String(r.msb);
@@ -3160,16 +4290,24 @@ function runPM2(action)
         const pc = (r.program == null) ? "?" : String(r.program);
         const p = r.patchName || "Patch";
 
-        const ccst = ccSlotsToText(r.ccSlots).trim();
-        const fccst = `\n{#FFA500-fg}CC Slots{/#FFA500-fg} {white-fg}${ccst}{/white-fg}`
+        const ccst = messagesToText(r.messages).trim();
+        const fccst = `\n{#FFA500-fg}Messages{/#FFA500-fg} {white-fg}${ccst}{/white-fg}`
         const cclst = (ccst == "") ? "" : String(fccst);
 
+        const sxn = sysexCount(r);
+        const sxlst = sxn ? `\n{#FFA500-fg}SysEx{/#FFA500-fg} {white-fg}${sxn} message(s){/white-fg}` : "";
+
+        const ovr = formatRouteOverrides(r);
+        const ovrlst = ovr ? `\n{#FFA500-fg}Overrides{/#FFA500-fg} {white-fg}${ovr}{/white-fg}` : "";
+
         lines.push(
-          `{cyan-fg}${mName}{/cyan-fg} {gray-fg}[${ch}]{/gray-fg}  \n` +
+          `${offlineTag(r.machineId)}{cyan-fg}${mName}{/cyan-fg} {gray-fg}[${ch}]{/gray-fg}  \n` +
           `{yellow-fg}${b}{/yellow-fg} {gray-fg}(MSB ${msb} / LSB ${lsb}){/gray-fg}  \n` +
           `{magenta-fg}PC ${pc}{/magenta-fg}  ` +
           `{white-fg}<${p}>{/white-fg}` +
           cclst +
+          sxlst +
+          ovrlst +
           `\n`         
         );
       });
@@ -3205,6 +4343,17 @@ function runPM2(action)
       refreshSetlists();
     }
 
+    // Recall is queued by the driver: report once every route has really been sent
+    function recallAndReport(e)
+    {
+      setStatus(`Recalling ${e.name}...`);
+      model.recallEntry(e.id).then(
+        (r) => setStatus(r.message, r.ok ? "ok" : "err"),
+        (ex) => setStatus(`Recall error: ${ex.message}`, "err")
+      );
+      refreshEntries(e.id);
+    }
+
     // Focus management for Setlist page
     const focusables = [setlistsList, entriesList, preview];
     let focusIndex = 0;
@@ -3261,9 +4410,7 @@ function runPM2(action)
           return;
         }
 
-        const r = model.recallEntry(e.id);
-        setStatus(r.message, r.ok ? "ok" : "err");
-        refreshEntries(e.id);
+        recallAndReport(e);
       }
 
       refreshFocusMarkers();
@@ -3301,6 +4448,15 @@ function runPM2(action)
 
     // Events: entries
     entriesList.on("highlight", () => refreshPreview());
+
+    // Machine passée en ligne / hors ligne: la preview de l'entrée sélectionnée est remise à jour
+    function onMachineStatus(e)
+    {
+      const entry = (entriesList._entries || [])[entriesList.selected];
+      if (entry && (entry.routes || []).some(r => r.machineId === e.machineId)) refreshPreview();
+    }
+
+    model.on("machineStatus", onMachineStatus);
     entriesList.key(["up", "down", "k", "j"], () =>
     {
       refreshPreview();
@@ -3318,9 +4474,7 @@ function runPM2(action)
           return;
         }
 
-        const r = model.recallEntry(e.id);
-        setStatus(r.message, r.ok ? "ok" : "err");
-        refreshEntries(e.id);
+        recallAndReport(e);
       }
     });
 
@@ -3335,9 +4489,7 @@ function runPM2(action)
         return;
       }
 
-      const r = model.recallEntry(e.id);
-      setStatus(r.message, r.ok ? "ok" : "err");
-      refreshEntries(e.id);
+      recallAndReport(e);
     });
 
     preview.key(["enter"], () =>
@@ -3351,9 +4503,7 @@ function runPM2(action)
         return;
       }
 
-      const r = model.recallEntry(e.id);
-      setStatus(r.message, r.ok ? "ok" : "err");
-      refreshEntries(e.id);
+      recallAndReport(e);
     });
 
     // Assign Hotkeys
@@ -3578,6 +4728,65 @@ function runPM2(action)
       });
     });
 
+    // Entry: notes
+    kb.bindKey(["i"], () =>
+    {
+      if (!routesModal.hidden) return;
+      if (!notesModal.hidden) return;
+
+      const e = getSelectedEntry();
+      if (!e)
+      {
+        setStatus("No entry.", "warn");
+        return;
+      }
+
+      openNotesEditor(e);
+    });
+
+    // Entry: tempo / MIDI clock
+    kb.bindKey(["k"], () =>
+    {
+      if (!routesModal.hidden) return;
+
+      const e = getSelectedEntry();
+      if (!e)
+      {
+        setStatus("No entry.", "warn");
+        return;
+      }
+
+      askInput(
+        "Tempo / clock? e.g. {bold}120{/bold} | {bold}96.5 continue{/bold} | {bold}120 pos=16{/bold} (SPP, 16th notes) | {bold}stop{/bold} | {bold}-{/bold} none",
+        formatEntryTempo(e).replace(" BPM", ""),
+        (err, value) =>
+        {
+          if (err) return;
+
+          const parsed = parseEntryTempoText(value);
+          if (parsed.errors.length)
+          {
+            setStatus(`Invalid tempo: ${blessed.escape(parsed.errors.join(", "))} (BPM 20..300, start/continue/stop, pos=0..16383)`, "err");
+            return;
+          }
+
+          const ok = model.setEntryTempo(e.id, parsed.tempo);
+          const text = formatEntryTempo(parsed.tempo);
+          setStatus(ok ? `Tempo: ${text || "none"}.` : "Tempo: save error.", ok ? "ok" : "err");
+          refreshEntries(e.id);
+        }
+      );
+    });
+
+    // MIDI clock: start / stop manuel (tempo courant)
+    kb.bindKey(["s"], () =>
+    {
+      if (!routesModal.hidden) return;
+
+      const res = model.getClockState().running ? model.clockStop() : model.clockStart();
+      setStatus(res.message, res.ok ? "ok" : "warn");
+    });
+
     // Entry: delete
     kb.bindKey(["d"], () =>
     {
@@ -3765,8 +4974,10 @@ function runPM2(action)
     return function cleanup()
     {
       kb.unbindAllKeys();
+      model.removeListener("machineStatus", onMachineStatus);
       try { inputModal.hide(); } catch { }
       try { routesModal.hide(); } catch { }
+      try { notesModal.hide(); } catch { }
     };
   }
 
@@ -3922,20 +5133,29 @@ function buildSystemPage()
 
     const ar = !!setmgr.getSetting("ui.autorecallOnScroll", false);
     const fz = !!setmgr.getSetting("ui.enableFuzzySearch", false);
+    const sr = !!setmgr.getSetting("recall.smart", false);
     const to = setmgr.getSetting("remote.vfdIdleTime", 39);
     const ds = !!setmgr.getSetting("remote.vfdDeepSleep", false);
     const br = setmgr.getSetting("remote.vfdBrightness", 3);
     const bc = normalizeBacklightColorInput(setmgr.getSetting("remote.backlightColor", "#48C410")) || "#48C410";
+    const mre = !!setmgr.getSetting("midiRemote.enabled", false);
+    const mrp = setmgr.getSetting("midiRemote.port", null);
+    const mrc = parseInt(setmgr.getSetting("midiRemote.channel", 0), 10) || 0;
 
     list.setItems([
       `UI: Auto-recall setlist entry on scroll: {bold}${ar ? "{green-fg}ON{/green-fg}" : "{red-fg}OFF{/red-fg}"}{/bold}`,
       `UI: Enable fuzzy search in lists: {bold}${fz ? "{green-fg}ON{/green-fg}" : "{red-fg}OFF{/red-fg}"}{/bold}`,
+      `Recall: Smart recall (skip unchanged routes): {bold}${sr ? "{green-fg}ON{/green-fg}" : "{red-fg}OFF{/red-fg}"}{/bold}`,
+      "Recall: Force full resend on next recall",
       "Remote: Device: {bold}Logitech G13{/bold}",
       "Remote: Hotkeys: {bold}G1..G22{/bold}",
       `Remote: Display Idle Time: {bold}${to}{/bold}`,
       `Remote: Display Deep Sleep: {bold}${ds ? "{green-fg}ON{/green-fg}" : "{red-fg}OFF{/red-fg}"}{/bold}`,
       `Remote: Display Brightness: {bold}${br}{/bold}`,
       `Remote: Backlight Color: {bold}${bc}{/bold}`,
+      `MIDI Remote: Enabled: {bold}${mre ? "{green-fg}ON{/green-fg}" : "{red-fg}OFF{/red-fg}"}{/bold}`,
+      `MIDI Remote: Input port: {bold}${mrp || "<none>"}{/bold}`,
+      `MIDI Remote: Channel: {bold}${mrc ? mrc : "omni"}{/bold}`,
       "{yellow-fg}Machine: Software restart!{/yellow-fg}",
       "{#FFA500-fg}Machine: Hardware reboot!{/#FFA500-fg}",
       "{red-fg}Machine: Hardware poweroff!{/red-fg}",
@@ -3945,6 +5165,15 @@ function buildSystemPage()
     list.select(currentItem);
   }
 
+  function emitMidiRemoteConfig()
+  {
+    model.emit("midiRemoteConfig", {
+      enabled: !!setmgr.getSetting("midiRemote.enabled", false),
+      port: setmgr.getSetting("midiRemote.port", null),
+      channel: parseInt(setmgr.getSetting("midiRemote.channel", 0), 10) || 0
+    });
+  }
+
   function askYes(question, action)
   {
     _confirmAction = action;
@@ -4018,19 +5247,37 @@ function buildSystemPage()
       return;
     }
 
-    if (idx === 2)
+    if (idx === 2)  // smart recall
+    {
+      const cur = !!setmgr.getSetting("recall.smart", false);
+      setmgr.setSetting("recall.smart", !cur);
+      settings = setmgr.settings;
+      model.smartRecall = !cur;
+      buildItems();
+      setStatus(`Smart recall is now ${!cur ? "ON: unchanged routes are skipped" : "OFF: every route is resent"}.`, "ok");
+      return;
+    }
+
+    if (idx === 3)  // oubli de l'état envoyé
+    {
+      model.resetRecallState();
+      setStatus("Sent state cleared: the next recall resends every route.", "ok");
+      return;
+    }
+
+    if (idx === 4)
     {
       setStatus("Midistage now uses the Logitech G13 directly. No serial port is required.", "ok");
       return;
     }
 
-    if (idx === 3)
+    if (idx === 5)
     {
       setStatus("Hotkeys now use G1..G22. In assignment prompts, type 1..22.", "ok");
       return;
     }
 
-    if (idx === 4)  // remote display idle time
+    if (idx === 6)  // remote display idle time
     {
       const prompt = blessed.prompt({
         parent: screen,
@@ -4087,7 +5334,7 @@ function buildSystemPage()
       return;
     }
 
-    if (idx === 5)  // remote display deep sleep
+    if (idx === 7)  // remote display deep sleep
     {
       const cur = !!setmgr.getSetting("remote.vfdDeepSleep", false);
       setmgr.setSetting("remote.vfdDeepSleep", !cur);
@@ -4098,7 +5345,7 @@ function buildSystemPage()
       return;
     }
 
-    if (idx === 6)  // remote display brightness
+    if (idx === 8)  // remote display brightness
     {
       const prompt = blessed.prompt({
         parent: screen,
@@ -4155,7 +5402,7 @@ function buildSystemPage()
       return;
     }
 
-    if (idx === 7)  // remote backlight color
+    if (idx === 9)  // remote backlight color
     {
       const prompt = blessed.prompt({
         parent: screen,
@@ -4204,25 +5451,101 @@ function buildSystemPage()
       return;
     }
 
-    if (idx === 8)  // restart soft
+    if (idx === 10)  // MIDI remote on/off
+    {
+      const cur = !!setmgr.getSetting("midiRemote.enabled", false);
+      setmgr.setSetting("midiRemote.enabled", !cur);
+      settings = setmgr.settings;
+      buildItems();
+      emitMidiRemoteConfig();
+      setStatus(`MIDI remote is now ${!cur ? "ON" : "OFF"}.`, "ok");
+      return;
+    }
+
+    if (idx === 11)  // MIDI remote input port: cycle through detected inputs
+    {
+      let inputs = [];
+      try { inputs = require("../midi/driver").listInputs(); } catch (e) { setStatus(`MIDI inputs: ${e.message}`, "err"); return; }
+
+      const choices = [null].concat(inputs);
+      const cur = setmgr.getSetting("midiRemote.port", null);
+      const i = choices.findIndex(p => p === cur);
+      const next = choices[(i + 1) % choices.length];
+
+      setmgr.setSetting("midiRemote.port", next);
+      settings = setmgr.settings;
+      buildItems();
+      emitMidiRemoteConfig();
+      setStatus(`MIDI remote input is now ${next || "<none>"}.`, "ok");
+      return;
+    }
+
+    if (idx === 12)  // MIDI remote channel
+    {
+      const prompt = blessed.prompt({
+        parent: screen,
+        border: "line",
+        height: 7,
+        width: 60,
+        top: "center",
+        left: "center",
+        label: " Set MIDI remote channel ",
+        keys: true,
+        vi: true
+      });
+
+      screen.grabKeys = true;
+      prompt.focus();
+
+      prompt.input(
+      "Type a channel between 1 and 16, or 0 for omni",
+      "",
+      (err, value) => {
+          screen.grabKeys = false;
+
+          if (err || value == null || !String(value).trim())
+          {
+              screen.render();
+              return;
+          }
+
+          if (Number.isInteger(parseInt(value)))
+          {
+            const n = Math.max(0, Math.min(16, parseInt(value, 10)));
+
+            setmgr.setSetting("midiRemote.channel", n);
+            settings = setmgr.settings;
+            buildItems();
+            emitMidiRemoteConfig();
+            setStatus(`MIDI remote channel is now ${n ? n : "omni"}.`, "ok");
+          }
+
+          screen.render();
+        }
+      );
+      screen.render();
+      return;
+    }
+
+    if (idx === 13)  // restart soft
     {
       askYes("Restart the software?", "restart");
       return;
     }
 
-    if (idx === 9)  // reboot
+    if (idx === 14)  // reboot
     {
       askYes("Reboot the system?", "reboot");
       return;
     }
 
-    if (idx === 10)  // poweroff
+    if (idx === 15)  // poweroff
     {
       askYes("Power off the system?", "poweroff");
       return;
     }
 
-    if (idx === 11)  // aboutbox
+    if (idx === 16)  // aboutbox
     {
       // IMPORTANT FIX: open About box next tick so it does not immediately eat the Enter key.
       setImmediate(() =>